@@ -0,0 +1,1256 @@
+// Affordability engine: the tax, mortgage, serviceability and savings maths behind the map.
+// Pure functions over plain settings objects and housing rows, with no DOM access, so they can be
+// used by the browser app (map_app.js) and tested under Node (tests/).
+
+// Dwelling type and bedroom breakdowns; rows without Dwelling_Type or Bedrooms columns cover all dwellings
+export const DWELLING_TYPES = {
+    all: { label: 'All dwelling types', description: 'dwellings' },
+    house: { label: 'Houses', description: 'houses' },
+    unit: { label: 'Flats and units', description: 'units' },
+    townhouse: { label: 'Townhouses', description: 'townhouses' }
+};
+
+export const BEDROOM_OPTIONS = {
+    any: { label: 'Any number of bedrooms' },
+    0: { label: 'Studio', description: 'studio' },
+    1: { label: '1 bedroom', description: '1-bedroom' },
+    2: { label: '2 bedrooms', description: '2-bedroom' },
+    3: { label: '3 bedrooms', description: '3-bedroom' },
+    4: { label: '4 or more bedrooms', description: '4+ bedroom' }
+};
+
+// Integer-like keys come before 'any' when BEDROOM_OPTIONS is iterated, so lists follow this order instead
+export const BEDROOM_OPTION_ORDER = ['any', '0', '1', '2', '3', '4'];
+
+export const RENT_FIELDS = ['yearly_median_weekly_rent', 'yearly_first_quartile_weekly_rent', 'yearly_third_quartile_weekly_rent'];
+
+export const SALES_FIELDS = ['yearly_median_sales_price_000s', 'yearly_first_quartile_sales_000s', 'yearly_third_quartile_sales_000s'];
+
+// =============================================================================
+// DEFAULT VALUES AND INFLATION RATES
+// =============================================================================
+// All default values are sourced from official ABS data and adjusted for inflation
+// to current values using compound inflation calculations.
+
+// ABS Inflation rates by year (as percentages)
+export const INFLATION_RATES = {
+    2020: 0.9,   // 2020-21
+    2021: 2.9,   // 2021-22
+    2022: 6.6,   // 2022-23
+    2023: 5.6,   // 2023-24
+    2024: 3.16,  // 2024-25
+    2025: 2.10   // 2025-26 (projected)
+};
+
+// Base values from official ABS sources (before inflation adjustment)
+export const DEFAULT_VALUES = {
+    // Household Income: ABS median equivalised disposable household income
+    // Source: ABS Measuring What Matters - Household income and wealth
+    // URL: https://www.abs.gov.au/statistics/measuring-what-matters/measuring-what-matters-themes-and-indicators/prosperous/household-income-and-wealth
+    householdIncome: {
+        base: 61984,        // 2022-23 value ($1,192/week)
+        baseYear: 2022,
+        targetYear: 2025,
+        description: "ABS median equivalised disposable household income"
+    },
+
+    // Cost of Living: ABS Household Expenditure Survey (HES) 2019-20
+    // Source: ABS Household Expenditure Survey 2019-20
+    // Adjusted for inflation to 2024 values (converted to weekly)
+    costOfLiving: {
+        utilities: {
+            base: 46,       // 2019-20 weekly value (200/52*12)
+            baseYear: 2019,
+            targetYear: 2024,
+            description: "ABS HES 2019-20 utilities expenditure"
+        },
+        food: {
+            base: 92,       // 2019-20 weekly value (400/52*12)
+            baseYear: 2019,
+            targetYear: 2024,
+            description: "ABS HES 2019-20 food & groceries expenditure"
+        },
+        transport: {
+            base: 69,       // 2019-20 weekly value (300/52*12)
+            baseYear: 2019,
+            targetYear: 2024,
+            description: "ABS HES 2019-20 transport expenditure"
+        }
+    },
+
+    // Mortgage Settings: Current market rates and typical defaults
+    mortgage: {
+        interestRate: 6.5,      // Current market rate
+        loanTerm: 30,           // Standard loan term
+        depositPercent: 20,     // Standard deposit percentage
+        depositAmount: 100000   // Default deposit amount
+    },
+
+    // Lender serviceability assumptions
+    serviceability: {
+        assessmentBuffer: 3,    // APRA serviceability buffer (percentage points above the loan rate)
+        dtiCap: 6,              // Debt-to-income ratio APRA treats as high (loan / gross income)
+        dependants: 0
+    },
+
+    // Upfront purchase costs
+    purchase: {
+        conveyancingCosts: 3000,    // Conveyancing, searches, inspections and registration fees
+        savings: 150000
+    },
+
+    // Saving for a deposit while renting
+    savingsPlan: {
+        targetDepositPercent: 20,
+        savingsReturn: 4.5          // Typical high-interest savings account rate (% p.a.)
+    },
+
+    // Renting versus buying over the loan term
+    rentVsBuy: {
+        capitalGrowth: 4,           // Long-run growth in NSW dwelling values (% p.a.)
+        rentGrowth: 3,              // Long-run growth in NSW rents (% p.a.)
+        depositReturn: 5            // Return the deposit and purchase costs could earn if invested instead (% p.a.)
+    },
+
+    // Interest rates swept by the stress test (% p.a.)
+    stressTest: {
+        minRate: 4,
+        maxRate: 10,
+        incomeChange: 0             // % change applied to every earner's income
+    },
+
+    // Commute limit and running costs from a chosen workplace
+    commute: {
+        maxDistance: 30,            // km in a straight line; 0 means no limit
+        daysPerWeek: 5,
+        costPerKm: 0.30             // Fuel, tyres and servicing for a typical car
+    },
+
+    // Owner Costs: Typical NSW property ownership costs (weekly)
+    ownerCosts: {
+        strata: 92,         // Weekly strata/body corp (apartments)
+        council: 46,        // Weekly council rates
+        water: 23,          // Weekly water & sewer
+        maintenance: 69     // Weekly maintenance (1% of property value annually)
+    }
+};
+
+// =============================================================================
+// INCOME TAX TABLES
+// =============================================================================
+// Resident individual rates by financial year, from the ATO. Add a year by adding an entry here;
+// every threshold in a table is also used as a breakpoint when inverting net income to gross.
+// Source: https://www.ato.gov.au/rates/individual-income-tax-rates
+export const TAX_TABLES = {
+    '2023-24': {
+        brackets: [
+            { lower: 0, rate: 0.00 },
+            { lower: 18_200, rate: 0.19 },
+            { lower: 45_000, rate: 0.325 },
+            { lower: 120_000, rate: 0.37 },
+            { lower: 180_000, rate: 0.45 }
+        ],
+        // Low income tax offset: full amount, then withdrawn at two taper rates
+        lito: { max: 700, firstTaperFrom: 37_500, firstTaperRate: 0.05, secondTaperFrom: 45_000, secondTaperRate: 0.015 },
+        // Medicare levy, shaded in above the singles low-income threshold
+        medicareLevy: { rate: 0.02, lowIncomeThreshold: 26_000, shadeInRate: 0.10 },
+        // Medicare levy surcharge (singles) without private hospital cover, charged on the whole income
+        medicareLevySurcharge: [
+            { lower: 93_000, rate: 0.01 },
+            { lower: 108_000, rate: 0.0125 },
+            { lower: 144_000, rate: 0.015 }
+        ],
+        // HELP compulsory repayment: a percentage of the whole income once it reaches each threshold
+        help: {
+            method: 'percentOfIncome',
+            tiers: [
+                { lower: 51_550, rate: 0.01 }, { lower: 59_519, rate: 0.02 }, { lower: 63_090, rate: 0.025 },
+                { lower: 66_876, rate: 0.03 }, { lower: 70_889, rate: 0.035 }, { lower: 75_141, rate: 0.04 },
+                { lower: 79_650, rate: 0.045 }, { lower: 84_430, rate: 0.05 }, { lower: 89_495, rate: 0.055 },
+                { lower: 94_866, rate: 0.06 }, { lower: 100_558, rate: 0.065 }, { lower: 106_591, rate: 0.07 },
+                { lower: 112_986, rate: 0.075 }, { lower: 119_765, rate: 0.08 }, { lower: 126_951, rate: 0.085 },
+                { lower: 134_569, rate: 0.09 }, { lower: 142_643, rate: 0.095 }, { lower: 151_201, rate: 0.10 }
+            ]
+        }
+    },
+    '2024-25': {
+        brackets: [
+            { lower: 0, rate: 0.00 },
+            { lower: 18_200, rate: 0.16 },
+            { lower: 45_000, rate: 0.30 },
+            { lower: 135_000, rate: 0.37 },
+            { lower: 190_000, rate: 0.45 }
+        ],
+        lito: { max: 700, firstTaperFrom: 37_500, firstTaperRate: 0.05, secondTaperFrom: 45_000, secondTaperRate: 0.015 },
+        medicareLevy: { rate: 0.02, lowIncomeThreshold: 27_222, shadeInRate: 0.10 },
+        medicareLevySurcharge: [
+            { lower: 97_000, rate: 0.01 },
+            { lower: 113_000, rate: 0.0125 },
+            { lower: 151_000, rate: 0.015 }
+        ],
+        help: {
+            method: 'percentOfIncome',
+            tiers: [
+                { lower: 54_435, rate: 0.01 }, { lower: 62_851, rate: 0.02 }, { lower: 66_621, rate: 0.025 },
+                { lower: 70_619, rate: 0.03 }, { lower: 74_856, rate: 0.035 }, { lower: 79_347, rate: 0.04 },
+                { lower: 84_108, rate: 0.045 }, { lower: 89_155, rate: 0.05 }, { lower: 94_504, rate: 0.055 },
+                { lower: 100_175, rate: 0.06 }, { lower: 106_186, rate: 0.065 }, { lower: 112_557, rate: 0.07 },
+                { lower: 119_310, rate: 0.075 }, { lower: 126_468, rate: 0.08 }, { lower: 134_057, rate: 0.085 },
+                { lower: 142_101, rate: 0.09 }, { lower: 150_627, rate: 0.095 }, { lower: 159_664, rate: 0.10 }
+            ]
+        }
+    },
+    '2025-26': {
+        brackets: [
+            { lower: 0, rate: 0.00 },
+            { lower: 18_200, rate: 0.16 },
+            { lower: 45_000, rate: 0.30 },
+            { lower: 135_000, rate: 0.37 },
+            { lower: 190_000, rate: 0.45 }
+        ],
+        lito: { max: 700, firstTaperFrom: 37_500, firstTaperRate: 0.05, secondTaperFrom: 45_000, secondTaperRate: 0.015 },
+        // 2025-26 low-income threshold not yet published; 2024-25 value carried forward
+        medicareLevy: { rate: 0.02, lowIncomeThreshold: 27_222, shadeInRate: 0.10 },
+        medicareLevySurcharge: [
+            { lower: 101_000, rate: 0.01 },
+            { lower: 118_000, rate: 0.0125 },
+            { lower: 158_000, rate: 0.015 }
+        ],
+        // From 2025-26 HELP repayments are marginal: charged only on income above each threshold,
+        // capped at 10% of the whole income
+        help: {
+            method: 'marginal',
+            brackets: [
+                { lower: 67_000, rate: 0.15 },
+                { lower: 125_000, rate: 0.17 }
+            ],
+            maxShareOfIncome: 0.10
+        }
+    }
+};
+
+export const DEFAULT_TAX_YEAR = '2025-26';
+
+// Housing costs above this share of gross income count as housing stress (the 30% rule)
+export const HOUSING_STRESS_PERCENT = 30;
+
+// Pay periods an earner's income can be entered in, with how many fit in a year and a sensible input step
+export const INCOME_PERIODS = {
+    week: { perYear: 52, step: 50 },
+    fortnight: { perYear: 26, step: 100 },
+    month: { perYear: 12, step: 250 },
+    year: { perYear: 1, step: 1000 }
+};
+
+// Road trips are longer than the straight line between centroids; a common rule of thumb for circuity
+export const ROAD_DISTANCE_FACTOR = 1.3;
+
+export const EARTH_RADIUS_KM = 6371;
+
+// Household expenditure floors in the style of the HEM benchmark lenders apply when declared living costs
+// look low: weekly amounts by household composition, scaled up with gross income. These are illustrative
+// approximations, not the licensed Melbourne Institute HEM tables.
+export const HEM_FLOORS = {
+    single: 420,
+    couple: 610,
+    perDependant: 135,
+    incomeScaling: [
+        { minGrossIncome: 0, factor: 1.0 },
+        { minGrossIncome: 60_000, factor: 1.15 },
+        { minGrossIncome: 120_000, factor: 1.3 },
+        { minGrossIncome: 200_000, factor: 1.45 }
+    ]
+};
+
+// NSW transfer (stamp) duty for residential property, 2025-26 thresholds, as marginal rates per dollar.
+// Source: https://www.revenue.nsw.gov.au/taxes-duties-levies-royalties/transfer-duty
+export const NSW_TRANSFER_DUTY_BRACKETS = [
+    { lower: 0, rate: 0.0125 },
+    { lower: 17_000, rate: 0.015 },
+    { lower: 36_000, rate: 0.0175 },
+    { lower: 97_000, rate: 0.035 },
+    { lower: 364_000, rate: 0.045 },
+    { lower: 1_212_000, rate: 0.055 },
+    { lower: 3_636_000, rate: 0.07 }    // Premium property duty
+];
+
+export const NSW_MINIMUM_TRANSFER_DUTY = 20;
+
+// First Home Buyers Assistance Scheme for homes: no duty up to the exemption threshold, then a
+// concession that phases in to full duty at the concession threshold
+// Source: https://www.revenue.nsw.gov.au/grants-schemes/first-home-buyer/assistance-scheme
+export const FIRST_HOME_BUYER_DUTY_RELIEF = { exemptionThreshold: 800_000, concessionThreshold: 1_000_000 };
+
+// Indicative lenders mortgage insurance premiums as a share of the loan, by loan-to-value ratio.
+// Real premiums vary by insurer, lender and loan size.
+export const LMI_PREMIUMS = [
+    { maxLvr: 0.80, rate: 0 },
+    { maxLvr: 0.85, rate: 0.009 },
+    { maxLvr: 0.90, rate: 0.018 },
+    { maxLvr: 0.95, rate: 0.032 },
+    { maxLvr: Infinity, rate: 0.045 }
+];
+
+// Saving horizons beyond this are reported as never reaching the target
+export const MAX_YEARS_TO_SAVE = 50;
+
+// Highest interest rate (% p.a.) searched for the rate at which buying becomes unaffordable
+export const MAX_STRESS_RATE = 20;
+
+// Data quality checks: medians from fewer new bonds or sales than this in a year are treated as unreliable,
+// as are quartiles more than this many times above or below the median
+export const LOW_SAMPLE_COUNT = 30;
+export const QUARTILE_SPREAD_LIMIT = 4;
+
+// Quartile and count fields checked for each figure, and the housing type that relies on it
+const QUALITY_FIGURES = [
+    { figure: 'rent', housingType: 'rent', fields: RENT_FIELDS, count: 'yearly_new_bonds' },
+    { figure: 'sales', housingType: 'buy', fields: SALES_FIELDS, count: 'yearly_sales_count' }
+];
+
+// Inflation adjustment function for consistent calculations across all metrics
+export function adjustForInflation(baseValue, baseYear, targetYear, inflationRates) {
+    let adjustedValue = baseValue;
+    for (let year = baseYear + 1; year <= targetYear; year++) {
+        if (inflationRates[year]) {
+            adjustedValue *= (1 + inflationRates[year] / 100);
+        }
+    }
+    return Math.round(adjustedValue);
+}
+
+export function calculateMortgage(loanAmount, annualRate, termYears, type) {
+    if (loanAmount <= 0) {
+        return { payment: 0, interest: 0 };
+    }
+    const numPayments = termYears * 12;
+    if (annualRate === 0) {
+        return { payment: loanAmount / numPayments, interest: 0 };
+    }
+
+    const monthlyRate = (annualRate / 100) / 12;
+    const monthlyInterest = loanAmount * monthlyRate;
+
+    if (type === 'IO') {
+        return { payment: monthlyInterest, interest: monthlyInterest };
+    }
+
+    const factor = Math.pow(1 + monthlyRate, numPayments);
+    const principalAndInterestPayment = monthlyInterest * factor / (factor - 1);
+    return { payment: principalAndInterestPayment, interest: monthlyInterest };
+}
+
+// Sum of a marginal rate schedule: each rate applies only to the income between its lower bound and the next
+export function calculateMarginal(brackets, income) {
+    return brackets.reduce((total, { lower, rate }, i) => {
+        const upper = i + 1 < brackets.length ? brackets[i + 1].lower : Infinity;
+        return income > lower ? total + (Math.min(income, upper) - lower) * rate : total;
+    }, 0);
+}
+
+export function calculateLowIncomeTaxOffset(lito, income) {
+    if (income <= lito.firstTaperFrom) return lito.max;
+    if (income <= lito.secondTaperFrom) return lito.max - (income - lito.firstTaperFrom) * lito.firstTaperRate;
+    const offsetAtSecondTaper = lito.max - (lito.secondTaperFrom - lito.firstTaperFrom) * lito.firstTaperRate;
+    return Math.max(0, offsetAtSecondTaper - (income - lito.secondTaperFrom) * lito.secondTaperRate);
+}
+
+export function calculateHelpRepayment(help, income) {
+    if (help.method === 'marginal') {
+        return Math.min(calculateMarginal([{ lower: 0, rate: 0 }, ...help.brackets], income), income * help.maxShareOfIncome);
+    }
+    const tier = [...help.tiers].reverse().find(t => income >= t.lower);
+    return tier ? income * tier.rate : 0;
+}
+
+export function getTaxTable(taxYear) {
+    return TAX_TABLES[taxYear] || TAX_TABLES[DEFAULT_TAX_YEAR];
+}
+
+// Everything withheld from a gross income: income tax after offsets, Medicare levy and surcharge, and HELP
+export function calculateTaxBreakdown(grossIncome, taxOptions = {}) {
+    const table = getTaxTable(taxOptions.taxYear);
+    const income = Math.max(0, grossIncome);
+
+    const incomeTax = calculateMarginal(table.brackets, income);
+    const lowIncomeTaxOffset = Math.min(incomeTax, calculateLowIncomeTaxOffset(table.lito, income));
+
+    const { rate, lowIncomeThreshold, shadeInRate } = table.medicareLevy;
+    const medicareLevy = income <= lowIncomeThreshold
+        ? 0
+        : Math.min(income * rate, (income - lowIncomeThreshold) * shadeInRate);
+
+    const surchargeTier = taxOptions.hasPrivateHealthCover
+        ? null
+        : [...table.medicareLevySurcharge].reverse().find(tier => income > tier.lower);
+    const medicareLevySurcharge = surchargeTier ? income * surchargeTier.rate : 0;
+
+    const helpRepayment = taxOptions.hasHelpDebt ? calculateHelpRepayment(table.help, income) : 0;
+
+    const totalDeductions = incomeTax - lowIncomeTaxOffset + medicareLevy + medicareLevySurcharge + helpRepayment;
+    return {
+        incomeTax,
+        lowIncomeTaxOffset,
+        medicareLevy,
+        medicareLevySurcharge,
+        helpRepayment,
+        totalDeductions,
+        netIncome: income - totalDeductions
+    };
+}
+
+// Incomes at which a tax component starts, stops or changes rate
+export function getTaxBreakpoints(taxOptions = {}) {
+    const table = getTaxTable(taxOptions.taxYear);
+    const { lowIncomeThreshold, rate, shadeInRate } = table.medicareLevy;
+    const points = [
+        ...table.brackets.map(bracket => bracket.lower),
+        table.lito.firstTaperFrom,
+        table.lito.secondTaperFrom,
+        lowIncomeThreshold,
+        lowIncomeThreshold * shadeInRate / (shadeInRate - rate)
+    ];
+    if (!taxOptions.hasPrivateHealthCover) {
+        points.push(...table.medicareLevySurcharge.map(tier => tier.lower));
+    }
+    if (taxOptions.hasHelpDebt) {
+        points.push(...(table.help.method === 'marginal' ? table.help.brackets : table.help.tiers).map(tier => tier.lower));
+    }
+    return [...new Set(points)].filter(point => point > 0).sort((a, b) => a - b);
+}
+
+// Convert net income to gross income by inverting calculateNetIncome to the cent.
+// Net income rises continuously between breakpoints and can only drop at one (the surcharge and
+// pre-2025 HELP apply to the whole income), so the lowest gross is found by bisecting the first
+// segment whose upper end reaches the target.
+export function convertNetToGross(netIncome, taxOptions = {}) {
+    if (!Number.isFinite(netIncome)) throw new TypeError("netIncome must be a finite number");
+    if (netIncome <= 0) return 0; // clamp negatives to zero gross
+
+    const CENT = 0.01;
+    const netAt = (gross) => calculateNetIncome(gross, taxOptions);
+
+    let segmentStart = 0;
+    let segmentEnd = null;
+    for (const breakpoint of getTaxBreakpoints(taxOptions)) {
+        if (netAt(breakpoint - CENT) >= netIncome) {
+            segmentEnd = breakpoint - CENT;
+            break;
+        }
+        // Components charged only above a breakpoint (the surcharge) leave the breakpoint itself in this segment
+        if (netAt(breakpoint) >= netIncome) {
+            segmentEnd = breakpoint;
+            break;
+        }
+        segmentStart = breakpoint;
+    }
+
+    if (segmentEnd === null) {
+        // Above the last breakpoint: widen until the target is bracketed
+        segmentEnd = Math.max(segmentStart * 2, netIncome * 2);
+        while (netAt(segmentEnd) < netIncome) {
+            segmentEnd *= 2;
+        }
+    }
+
+    let low = segmentStart;
+    let high = segmentEnd;
+    while (high - low > CENT) {
+        const mid = (low + high) / 2;
+        if (netAt(mid) >= netIncome) {
+            high = mid;
+        } else {
+            low = mid;
+        }
+    }
+    return high;
+}
+
+// Convert gross income to net income after tax, Medicare and HELP
+export function calculateNetIncome(grossIncome, taxOptions = {}) {
+    if (!Number.isFinite(grossIncome)) throw new TypeError("grossIncome must be a finite number");
+    if (grossIncome < 0) return 0;
+    return calculateTaxBreakdown(grossIncome, taxOptions).netIncome;
+}
+
+// Earners are serialised as comma-separated "type:amount:help:period" entries,
+// e.g. "net:60000:1:year,gross:1500:0:week". A missing period means the amount is annual.
+export function serializeEarners(earners) {
+    return earners.map(earner => `${earner.type}:${earner.amount}:${earner.hasHelpDebt ? 1 : 0}:${earner.period}`).join(',');
+}
+
+export function parseEarners(value) {
+    return String(value).split(',').map(entry => {
+        const [type, amount, help, period] = entry.split(':');
+        return { type, amount: parseFloat(amount), hasHelpDebt: help === '1', period: INCOME_PERIODS[period] ? period : 'year' };
+    }).filter(earner => (earner.type === 'net' || earner.type === 'gross') && Number.isFinite(earner.amount));
+}
+
+export function parseWorkplace(value) {
+    const [lat, lng] = String(value || '').split(',').map(Number);
+    return value && Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+}
+
+export function getEarnersFromState(state) {
+    if (state.earners) {
+        return parseEarners(state.earners);
+    }
+    // Scenarios saved before multiple earners held a single household net income
+    if (state.annualIncome != null) {
+        return [{ type: 'net', amount: parseFloat(state.annualIncome) || 0, hasHelpDebt: state.helpDebt === '1', period: 'year' }];
+    }
+    return [];
+}
+
+// Reads a number from a raw input value. Blank or unparseable values fall back, but an explicit 0 is kept.
+function numberOr(value, fallback) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Turns a scenario's raw input values (as in shareable URLs and saved scenarios) into the numeric
+ * settings every calculation takes, including each earner's gross and net income.
+ * @param {Object<string, string>} state - Raw input values keyed by input id
+ * @returns {Object} Settings for the calculate* functions
+ */
+export function buildSettings(state) {
+    // Household-wide tax options; HELP debt is per earner. The Medicare levy surcharge uses the
+    // singles thresholds for each earner rather than the combined family test.
+    const taxOptions = {
+        taxYear: state.taxYear || DEFAULT_TAX_YEAR,
+        hasPrivateHealthCover: state.privateHealth === '1'
+    };
+
+    // Each earner is taxed on their own income; the household figures are the sums
+    const earners = getEarnersFromState(state).map((earner, index) => {
+        const earnerTaxOptions = { ...taxOptions, hasHelpDebt: earner.hasHelpDebt };
+        // Tax is assessed on annual income whatever period the amount was entered in
+        const amount = Math.max(0, earner.amount) * INCOME_PERIODS[earner.period].perYear;
+        return {
+            label: `Earner ${index + 1}`,
+            hasHelpDebt: earner.hasHelpDebt,
+            grossIncome: earner.type === 'gross' ? amount : convertNetToGross(amount, earnerTaxOptions),
+            netIncome: earner.type === 'gross' ? calculateNetIncome(amount, earnerTaxOptions) : amount
+        };
+    });
+    const householdNetIncome = earners.reduce((sum, earner) => sum + earner.netIncome, 0);
+    const householdGrossIncome = earners.reduce((sum, earner) => sum + earner.grossIncome, 0);
+    const weeklyNetIncome = householdNetIncome / 52;
+    const weeklyGrossIncome = householdGrossIncome / 52;
+
+    // Blank cost fields count as no cost
+    const weeklyLivingCosts = ['utilities', 'food', 'transport', 'other']
+        .reduce((sum, field) => sum + numberOr(state[field], 0), 0);
+    const weeklyOwnerCosts = ['strata', 'council', 'water', 'maintenance']
+        .reduce((sum, field) => sum + numberOr(state[field], 0), 0);
+
+    return {
+        grossIncome: householdGrossIncome,
+        netIncome: householdNetIncome,
+        weeklyNetIncome,
+        weeklyGrossIncome,
+        weeklyLivingCosts,
+        weeklyOwnerCosts,
+        earners,
+        taxOptions,
+        housingType: state.housingType,
+        pricePoint: state.pricePoint,
+        dwellingType: DWELLING_TYPES[state.dwellingType] ? state.dwellingType : 'all',
+        bedrooms: BEDROOM_OPTIONS[state.bedrooms] ? state.bedrooms : 'any',
+        mortgageType: state.mortgageType,
+        depositType: state.depositType,
+        depositPercent: Math.min(100, Math.max(0, numberOr(state.depositPercent, DEFAULT_VALUES.mortgage.depositPercent))),
+        depositAmount: Math.max(0, numberOr(state.depositAmount, 0)),
+        interestRate: Math.max(0, numberOr(state.interestRate, DEFAULT_VALUES.mortgage.interestRate)),
+        // A loan needs at least one year to repay; shorter terms would divide by zero
+        loanTermYears: Math.max(1, numberOr(state.loanTerm, DEFAULT_VALUES.mortgage.loanTerm)),
+        mapMode: state.mapMode || 'affordability',
+        assessmentBuffer: numberOr(state.assessmentBuffer, DEFAULT_VALUES.serviceability.assessmentBuffer),
+        dtiCap: numberOr(state.dtiCap, DEFAULT_VALUES.serviceability.dtiCap),
+        dependants: Math.max(0, Math.round(numberOr(state.dependants, DEFAULT_VALUES.serviceability.dependants))),
+        isFirstHomeBuyer: state.firstHomeBuyer === '1',
+        capitaliseLmi: state.capitaliseLmi === '1',
+        conveyancingCosts: numberOr(state.conveyancingCosts, DEFAULT_VALUES.purchase.conveyancingCosts),
+        savings: numberOr(state.savings, DEFAULT_VALUES.purchase.savings),
+        targetDepositPercent: numberOr(state.targetDepositPercent, DEFAULT_VALUES.savingsPlan.targetDepositPercent),
+        savingsReturn: numberOr(state.savingsReturn, DEFAULT_VALUES.savingsPlan.savingsReturn),
+        capitalGrowth: numberOr(state.capitalGrowth, DEFAULT_VALUES.rentVsBuy.capitalGrowth),
+        rentGrowth: numberOr(state.rentGrowth, DEFAULT_VALUES.rentVsBuy.rentGrowth),
+        depositReturn: numberOr(state.depositReturn, DEFAULT_VALUES.rentVsBuy.depositReturn),
+        workplace: parseWorkplace(state.workplace),
+        maxCommuteDistance: Math.max(0, numberOr(state.maxCommuteDistance, DEFAULT_VALUES.commute.maxDistance)),
+        includeCommuteCost: state.includeCommuteCost === '1',
+        commuteDays: numberOr(state.commuteDays, DEFAULT_VALUES.commute.daysPerWeek),
+        commuteCostPerKm: numberOr(state.commuteCostPerKm, DEFAULT_VALUES.commute.costPerKm),
+        minSampleSize: Math.max(0, numberOr(state.minSampleSize, 0)),
+        stressMinRate: Math.max(0, numberOr(state.stressMinRate, DEFAULT_VALUES.stressTest.minRate)),
+        stressMaxRate: Math.min(MAX_STRESS_RATE, numberOr(state.stressMaxRate, DEFAULT_VALUES.stressTest.maxRate)),
+        stressIncomeChange: numberOr(state.stressIncomeChange, DEFAULT_VALUES.stressTest.incomeChange)
+    };
+}
+
+export function getPricesForPoint(data, pricePoint) {
+    if (pricePoint === 'q1') {
+        return {
+            salesPrice: (data.yearly_first_quartile_sales_000s || 0) * 1000,
+            rent: data.yearly_first_quartile_weekly_rent
+        };
+    } else if (pricePoint === 'q3') {
+        return {
+            salesPrice: (data.yearly_third_quartile_sales_000s || 0) * 1000,
+            rent: data.yearly_third_quartile_weekly_rent
+        };
+    }
+    return { // median
+        salesPrice: (data.yearly_median_sales_price_000s || 0) * 1000,
+        rent: data.yearly_median_weekly_rent
+    };
+}
+
+export function calculateDeposit(salesPrice, userSettings) {
+    const actualDeposit = userSettings.depositType === 'percent'
+        ? salesPrice * (userSettings.depositPercent / 100)
+        : userSettings.depositAmount;
+    return Math.min(salesPrice, Math.max(0, actualDeposit));
+}
+
+// Loan needed after the deposit, plus lenders mortgage insurance when it is added to the loan
+export function calculateLoanAmount(salesPrice, userSettings) {
+    const baseLoan = Math.max(0, salesPrice - calculateDeposit(salesPrice, userSettings));
+    return userSettings.capitaliseLmi ? baseLoan + calculateLmi(salesPrice, baseLoan) : baseLoan;
+}
+
+export function calculateLmi(salesPrice, baseLoan) {
+    if (!(salesPrice > 0) || baseLoan <= 0) return 0;
+    const lvr = baseLoan / salesPrice;
+    return baseLoan * LMI_PREMIUMS.find(band => lvr <= band.maxLvr).rate;
+}
+
+export function calculateTransferDuty(salesPrice, isFirstHomeBuyer) {
+    if (!(salesPrice > 0)) return 0;
+    const fullDuty = Math.max(NSW_MINIMUM_TRANSFER_DUTY, calculateMarginal(NSW_TRANSFER_DUTY_BRACKETS, salesPrice));
+    if (!isFirstHomeBuyer) return fullDuty;
+
+    const { exemptionThreshold, concessionThreshold } = FIRST_HOME_BUYER_DUTY_RELIEF;
+    if (salesPrice <= exemptionThreshold) return 0;
+    if (salesPrice >= concessionThreshold) return fullDuty;
+    // Concession phases in linearly to the full duty payable at the concession threshold
+    const dutyAtThreshold = calculateMarginal(NSW_TRANSFER_DUTY_BRACKETS, concessionThreshold);
+    return dutyAtThreshold * (salesPrice - exemptionThreshold) / (concessionThreshold - exemptionThreshold);
+}
+
+// Cash needed to settle a purchase: deposit, transfer duty, fees, and LMI unless it is added to the loan
+export function calculateUpfrontCosts(salesPrice, userSettings) {
+    const deposit = calculateDeposit(salesPrice, userSettings);
+    const baseLoan = Math.max(0, salesPrice - deposit);
+    const lmi = calculateLmi(salesPrice, baseLoan);
+    const transferDuty = calculateTransferDuty(salesPrice, userSettings.isFirstHomeBuyer);
+    const lmiPaidUpfront = userSettings.capitaliseLmi ? 0 : lmi;
+    const totalCash = deposit + transferDuty + userSettings.conveyancingCosts + lmiPaidUpfront;
+
+    return {
+        deposit,
+        transferDuty,
+        fullTransferDuty: calculateTransferDuty(salesPrice, false),
+        lmi,
+        lmiPaidUpfront,
+        conveyancingCosts: userSettings.conveyancingCosts,
+        totalCash,
+        savingsGap: userSettings.savings - totalCash
+    };
+}
+
+// Weekly mortgage repayment and interest for a purchase at salesPrice under the given settings
+export function calculateWeeklyMortgage(salesPrice, userSettings) {
+    const loanAmount = calculateLoanAmount(salesPrice, userSettings);
+    const mortgage = calculateMortgage(loanAmount, userSettings.interestRate, userSettings.loanTermYears, userSettings.mortgageType);
+    return {
+        payment: mortgage.payment * 12 / 52,
+        interest: mortgage.interest * 12 / 52
+    };
+}
+
+export function calculatePostcodeAffordability(data, userSettings) {
+    const { weeklyGrossIncome } = userSettings;
+    const { salesPrice, rent } = getPricesForPoint(data, userSettings.pricePoint);
+    const result = {};
+
+    let weeklyHousingCost = 0;
+    let affordabilityPercentage = 0;
+
+    if (userSettings.housingType === 'rent' && rent && rent > 0) {
+        weeklyHousingCost = rent;
+        affordabilityPercentage = (weeklyHousingCost / weeklyGrossIncome) * 100;
+    } else if (userSettings.housingType === 'buy' && salesPrice && salesPrice > 0) {
+        const mortgage = calculateWeeklyMortgage(salesPrice, userSettings);
+        weeklyHousingCost = mortgage.payment + userSettings.weeklyOwnerCosts;
+        affordabilityPercentage = (weeklyHousingCost / weeklyGrossIncome) * 100;
+
+        result.calculated_weekly_payment = mortgage.payment;
+        result.calculated_weekly_interest = mortgage.interest;
+    }
+
+    result.selected_weekly_rent = rent > 0 ? rent : null;
+    result.selected_sale_price = salesPrice > 0 ? salesPrice : null;
+    result.weekly_housing_cost = weeklyHousingCost;
+    result.affordability_percentage = affordabilityPercentage;
+    result.is_affordable = affordabilityPercentage <= HOUSING_STRESS_PERCENT;
+    const weeklyAfterExpenses = userSettings.weeklyNetIncome - userSettings.weeklyLivingCosts;
+    result.weekly_money_leftover = (weeklyHousingCost > 0)
+        ? (weeklyAfterExpenses - weeklyHousingCost)
+        : null;
+
+    // Other measures the map can be coloured by
+    result.net_income_percentage = (weeklyHousingCost > 0 && userSettings.weeklyNetIncome > 0)
+        ? (weeklyHousingCost / userSettings.weeklyNetIncome) * 100
+        : null;
+    result.price_to_income = (salesPrice > 0 && userSettings.grossIncome > 0) ? salesPrice / userSettings.grossIncome : null;
+    result.rent_yield = (rent > 0 && salesPrice > 0) ? (rent * 52 / salesPrice) * 100 : null;
+    result.income_required = weeklyHousingCost > 0 ? weeklyHousingCost * 52 / (HOUSING_STRESS_PERCENT / 100) : null;
+    return result;
+}
+
+// Household net income from a gross income split between the earners in proportion to their current gross incomes
+// (evenly without any), each taxed on their own share
+export function calculateHouseholdNetIncome(grossIncome, userSettings) {
+    const { earners, taxOptions } = userSettings;
+    if (earners.length === 0) return calculateNetIncome(grossIncome, taxOptions);
+    return earners.reduce((sum, earner) => {
+        const share = userSettings.grossIncome > 0 ? earner.grossIncome / userSettings.grossIncome : 1 / earners.length;
+        return sum + calculateNetIncome(grossIncome * share, { ...taxOptions, hasHelpDebt: earner.hasHelpDebt });
+    }, 0);
+}
+
+// Household gross income needed for a net income, split between earners as in calculateHouseholdNetIncome.
+// A lone earner is inverted exactly by convertNetToGross; otherwise the household total is bisected to the cent.
+export function calculateHouseholdGrossIncome(netIncome, userSettings) {
+    const { earners, taxOptions } = userSettings;
+    if (earners.length <= 1) {
+        return convertNetToGross(netIncome, { ...taxOptions, hasHelpDebt: Boolean(earners[0] && earners[0].hasHelpDebt) });
+    }
+    if (netIncome <= 0) return 0;
+
+    let low = 0;
+    let high = netIncome * 2;
+    while (calculateHouseholdNetIncome(high, userSettings) < netIncome) {
+        high *= 2;
+    }
+    while (high - low > 0.01) {
+        const mid = (low + high) / 2;
+        if (calculateHouseholdNetIncome(mid, userSettings) >= netIncome) {
+            high = mid;
+        } else {
+            low = mid;
+        }
+    }
+    return high;
+}
+
+/**
+ * Works backwards from a postcode's housing cost to the yearly household income needed to meet the 30% rule,
+ * and to break even with nothing left over after housing and living costs, for the current rent or buy settings.
+ * @param {Object} data - Housing row for the postcode
+ * @param {Object} userSettings - From buildSettings, or getPostcodeSettings to include commute costs
+ * @returns {Object} Gross and net incomes needed, and each gross income less the household's current gross income
+ */
+export function calculateIncomeRequired(data, userSettings) {
+    const { weekly_housing_cost: weeklyHousingCost, income_required: grossFor30 } = calculatePostcodeAffordability(data, userSettings);
+    if (!(weeklyHousingCost > 0)) {
+        return {
+            income_required_net: null, income_required_gap: null,
+            break_even_gross_income: null, break_even_net_income: null, break_even_income_gap: null
+        };
+    }
+    const breakEvenNet = (weeklyHousingCost + userSettings.weeklyLivingCosts) * 52;
+    const breakEvenGross = calculateHouseholdGrossIncome(breakEvenNet, userSettings);
+    return {
+        income_required_net: calculateHouseholdNetIncome(grossFor30, userSettings),
+        income_required_gap: grossFor30 - userSettings.grossIncome,
+        break_even_gross_income: breakEvenGross,
+        break_even_net_income: breakEvenNet,
+        break_even_income_gap: breakEvenGross - userSettings.grossIncome
+    };
+}
+
+// Lender-style HEM floor for the household: couples are households with two or more earners
+export function getHemFloor(userSettings) {
+    const base = userSettings.earners.length > 1 ? HEM_FLOORS.couple : HEM_FLOORS.single;
+    const scaling = [...HEM_FLOORS.incomeScaling].reverse().find(band => userSettings.grossIncome >= band.minGrossIncome);
+    return (base + userSettings.dependants * HEM_FLOORS.perDependant) * scaling.factor;
+}
+
+// Maximum loan a lender would approve: the smaller of what the net surplus services at the buffered
+// assessment rate (P&I over the loan term) and the debt-to-income cap
+export function calculateServiceability(userSettings) {
+    const hemFloor = getHemFloor(userSettings);
+    const assessedLivingCosts = Math.max(userSettings.weeklyLivingCosts, hemFloor);
+    const weeklySurplus = userSettings.weeklyNetIncome - assessedLivingCosts - userSettings.weeklyOwnerCosts;
+    const monthlySurplus = Math.max(0, weeklySurplus * 52 / 12);
+
+    const assessmentRate = userSettings.interestRate + userSettings.assessmentBuffer;
+    const monthlyRate = (assessmentRate / 100) / 12;
+    const numPayments = userSettings.loanTermYears * 12;
+    const servicingLimit = monthlyRate === 0
+        ? monthlySurplus * numPayments
+        : monthlySurplus * (1 - Math.pow(1 + monthlyRate, -numPayments)) / monthlyRate;
+    const dtiLimit = userSettings.grossIncome * userSettings.dtiCap;
+
+    return {
+        assessmentRate,
+        hemFloor,
+        assessedLivingCosts,
+        servicingLimit,
+        dtiLimit,
+        maxLoan: Math.min(servicingLimit, dtiLimit),
+        limitedBy: servicingLimit <= dtiLimit ? 'servicing' : 'debt-to-income cap'
+    };
+}
+
+export function calculatePostcodeServiceability(data, userSettings, serviceability) {
+    const { salesPrice } = getPricesForPoint(data, userSettings.pricePoint);
+    if (!(salesPrice > 0)) {
+        return { loan_required: null, serviceability_headroom: null, max_loan: serviceability.maxLoan };
+    }
+    const loanRequired = calculateLoanAmount(salesPrice, userSettings);
+    return {
+        max_loan: serviceability.maxLoan,
+        loan_required: loanRequired,
+        serviceability_headroom: serviceability.maxLoan - loanRequired
+    };
+}
+
+export function calculatePostcodeUpfrontCosts(data, userSettings) {
+    const { salesPrice } = getPricesForPoint(data, userSettings.pricePoint);
+    if (!(salesPrice > 0)) {
+        return { upfront_cash_required: null, upfront_savings_gap: null };
+    }
+    const upfront = calculateUpfrontCosts(salesPrice, userSettings);
+    return {
+        upfront_cash_required: upfront.totalCash,
+        upfront_savings_gap: upfront.savingsGap
+    };
+}
+
+// Saving for the target deposit plus upfront costs at this postcode's price while renting at its rent
+export function calculateSavingsPlan(data, userSettings) {
+    const { salesPrice, rent } = getPricesForPoint(data, userSettings.pricePoint);
+    if (!(salesPrice > 0) || !(rent > 0)) return null;
+
+    const targetSettings = { ...userSettings, depositType: 'percent', depositPercent: userSettings.targetDepositPercent };
+    const target = calculateUpfrontCosts(salesPrice, targetSettings).totalCash;
+    const weeklySavings = userSettings.weeklyNetIncome - userSettings.weeklyLivingCosts - rent;
+    const monthlySavings = weeklySavings * 52 / 12;
+    const monthlyReturn = (userSettings.savingsReturn / 100) / 12;
+    const startingBalance = userSettings.savings;
+
+    return {
+        target,
+        weeklySavings,
+        years: calculateYearsToSave(startingBalance, target, monthlySavings, monthlyReturn),
+        balanceAfter: (years) => projectSavings(startingBalance, monthlySavings, monthlyReturn, years * 12)
+    };
+}
+
+// Balance after a number of months of monthly contributions with monthly compounding
+export function projectSavings(startingBalance, monthlySavings, monthlyReturn, months) {
+    if (monthlyReturn === 0) return startingBalance + monthlySavings * months;
+    const growth = Math.pow(1 + monthlyReturn, months);
+    return startingBalance * growth + monthlySavings * (growth - 1) / monthlyReturn;
+}
+
+// Years until the balance reaches the target, or null when it never does within MAX_YEARS_TO_SAVE
+export function calculateYearsToSave(startingBalance, target, monthlySavings, monthlyReturn) {
+    if (startingBalance >= target) return 0;
+
+    let months;
+    if (monthlyReturn === 0) {
+        months = monthlySavings > 0 ? (target - startingBalance) / monthlySavings : Infinity;
+    } else {
+        // Solve the future value of the balance plus an annuity for the number of periods
+        const numerator = target * monthlyReturn + monthlySavings;
+        const denominator = startingBalance * monthlyReturn + monthlySavings;
+        months = (numerator > 0 && denominator > 0)
+            ? Math.log(numerator / denominator) / Math.log(1 + monthlyReturn)
+            : Infinity;
+    }
+
+    const years = months / 12;
+    return years <= MAX_YEARS_TO_SAVE ? years : null;
+}
+
+// Cumulative cost of renting versus buying at this postcode's prices, at the end of each year of the loan term.
+// Buying counts only what isn't recovered when selling: interest, owner costs, transfer duty, fees and LMI, plus
+// the return the upfront cash would have earned invested, less capital growth. Principal repaid becomes equity,
+// so it isn't a cost. Rent grows each year; owner costs are held at today's amounts.
+// Returns null without both a rent and a sale price.
+export function calculateRentVsBuy(data, userSettings) {
+    const { salesPrice, rent } = getPricesForPoint(data, userSettings.pricePoint);
+    if (!(salesPrice > 0) || !(rent > 0)) return null;
+
+    const upfront = calculateUpfrontCosts(salesPrice, userSettings);
+    const loanAmount = calculateLoanAmount(salesPrice, userSettings);
+    const monthlyPayment = calculateMortgage(loanAmount, userSettings.interestRate, userSettings.loanTermYears, userSettings.mortgageType).payment;
+    const monthlyRate = (userSettings.interestRate / 100) / 12;
+    const weeklyBuyingCost = monthlyPayment * 12 / 52 + userSettings.weeklyOwnerCosts;
+    const purchaseCosts = upfront.transferDuty + upfront.conveyancingCosts + upfront.lmi;
+
+    const years = [];
+    let balance = loanAmount;
+    let interestPaid = 0;
+    let rentPaid = 0;
+    let breakEvenYear = null;
+    for (let year = 1; year <= userSettings.loanTermYears; year++) {
+        for (let month = 0; month < 12; month++) {
+            const interest = balance * monthlyRate;
+            interestPaid += interest;
+            balance = Math.max(0, balance - (monthlyPayment - interest));
+        }
+        rentPaid += rent * 52 * Math.pow(1 + userSettings.rentGrowth / 100, year - 1);
+
+        const forgoneReturn = upfront.totalCash * (Math.pow(1 + userSettings.depositReturn / 100, year) - 1);
+        const capitalGain = salesPrice * (Math.pow(1 + userSettings.capitalGrowth / 100, year) - 1);
+        const buyingCost = purchaseCosts + interestPaid + userSettings.weeklyOwnerCosts * 52 * year + forgoneReturn - capitalGain;
+        years.push({ year, renting: rentPaid, buying: buyingCost });
+        if (breakEvenYear === null && buyingCost <= rentPaid) breakEvenYear = year;
+    }
+
+    return {
+        weeklyRent: rent,
+        weeklyBuyingCost,
+        // Positive when buying costs more each week than renting
+        weeklyGap: weeklyBuyingCost - rent,
+        // First year by whose end buying has cost no more than renting, or null if not within the loan term
+        breakEvenYear,
+        years
+    };
+}
+
+// Lowest interest rate at which buying at salesPrice costs more a week than weeklyLimit. Repayments rise with
+// the rate, so bisection finds it to within a basis point. 0 when over the limit even at a zero rate, null
+// when still within it at MAX_STRESS_RATE.
+export function findTippingRate(salesPrice, userSettings, weeklyLimit) {
+    const weeklyCost = (rate) => calculateWeeklyMortgage(salesPrice, { ...userSettings, interestRate: rate }).payment + userSettings.weeklyOwnerCosts;
+    if (weeklyCost(0) > weeklyLimit) return 0;
+    if (weeklyCost(MAX_STRESS_RATE) <= weeklyLimit) return null;
+
+    let low = 0;
+    let high = MAX_STRESS_RATE;
+    while (high - low > 0.0001) {
+        const mid = (low + high) / 2;
+        if (weeklyCost(mid) > weeklyLimit) {
+            high = mid;
+        } else {
+            low = mid;
+        }
+    }
+    return high;
+}
+
+// Interest rates at which buying here tips past the 30% rule and into negative leftover income
+export function calculateRateTipping(data, userSettings) {
+    const { salesPrice } = getPricesForPoint(data, userSettings.pricePoint);
+    if (!(salesPrice > 0)) {
+        return { stress_rate: null, negative_leftover_rate: null, has_rate_tipping: false };
+    }
+    return {
+        stress_rate: findTippingRate(salesPrice, userSettings, userSettings.weeklyGrossIncome * HOUSING_STRESS_PERCENT / 100),
+        negative_leftover_rate: findTippingRate(salesPrice, userSettings, userSettings.weeklyNetIncome - userSettings.weeklyLivingCosts),
+        has_rate_tipping: true
+    };
+}
+
+// Scenario state with every earner's income changed by a percentage, for sensitivity testing
+export function applyIncomeChange(state, percent) {
+    const earners = getEarnersFromState(state).map(earner => ({ ...earner, amount: earner.amount * (1 + percent / 100) }));
+    return { ...state, earners: serializeEarners(earners) };
+}
+
+// Buying costs at each of the given interest rates for every postcode within the commute limit and minimum sample size
+export function sweepInterestRates(rows, settings, rates, centroids = {}) {
+    return rates.map(rate => {
+        const rateSettings = { ...settings, housingType: 'buy', interestRate: rate };
+        const results = {};
+        for (const postcode in rows) {
+            const commute = getCommute(centroids[postcode], rateSettings);
+            if ((commute && commute.isOutside) || isBelowMinSample(rows[postcode].yearly_sales_count, rateSettings)) continue;
+            results[postcode] = calculatePostcodeAffordability(rows[postcode], getPostcodeSettings(rateSettings, commute));
+        }
+        return { rate, results };
+    });
+}
+
+// Weekly rent and buying costs at the first and third quartiles, null where a quartile is missing
+export function calculateQuartilePayments(data, userSettings) {
+    const weeklyBuyingCost = (sales000s) => sales000s > 0
+        ? calculateWeeklyMortgage(sales000s * 1000, userSettings).payment + userSettings.weeklyOwnerCosts
+        : null;
+
+    return {
+        yearly_first_quartile_weekly_rent_payment: data.yearly_first_quartile_weekly_rent > 0 ? data.yearly_first_quartile_weekly_rent : null,
+        yearly_third_quartile_weekly_rent_payment: data.yearly_third_quartile_weekly_rent > 0 ? data.yearly_third_quartile_weekly_rent : null,
+        yearly_first_quartile_weekly_payment: weeklyBuyingCost(data.yearly_first_quartile_sales_000s),
+        yearly_third_quartile_weekly_payment: weeklyBuyingCost(data.yearly_third_quartile_sales_000s)
+    };
+}
+
+// Area-weighted centroid of a polygon's outer rings, treating lng/lat as planar (fine at postcode scale)
+export function calculateCentroid(geometry) {
+    if (!geometry) return null;
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+        : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+
+    let totalArea = 0, sumX = 0, sumY = 0;
+    polygons.forEach(([ring]) => {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const cross = ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+            totalArea += cross;
+            sumX += (ring[j][0] + ring[i][0]) * cross;
+            sumY += (ring[j][1] + ring[i][1]) * cross;
+        }
+    });
+    if (totalArea === 0) return null;
+    return [sumY / (3 * totalArea), sumX / (3 * totalArea)];
+}
+
+// Great-circle distance in km between two [lat, lng] points
+export function calculateDistanceKm([lat1, lng1], [lat2, lng2]) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Straight-line distance from the workplace to a postcode centroid and the weekly cost of driving it,
+// or null without a workplace or centroid
+export function getCommute(centroid, settings) {
+    if (!settings.workplace || !centroid) return null;
+
+    const distance = calculateDistanceKm([settings.workplace.lat, settings.workplace.lng], centroid);
+    return {
+        distance,
+        weeklyCost: settings.includeCommuteCost
+            ? distance * ROAD_DISTANCE_FACTOR * 2 * settings.commuteDays * settings.commuteCostPerKm
+            : 0,
+        isOutside: settings.maxCommuteDistance > 0 && distance > settings.maxCommuteDistance
+    };
+}
+
+// Settings for one postcode, with its commute cost added to living costs when that option is on
+export function getPostcodeSettings(settings, commute) {
+    if (!commute || !commute.weeklyCost) return settings;
+    return { ...settings, weeklyLivingCosts: settings.weeklyLivingCosts + commute.weeklyCost };
+}
+
+export function findNearestPostcode(centroids, lat, lng) {
+    let nearest = null, nearestDistance = Infinity;
+    Object.entries(centroids).forEach(([postcode, centroid]) => {
+        const distance = calculateDistanceKm([lat, lng], centroid);
+        if (distance < nearestDistance) {
+            nearest = postcode;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+export function parseDwellingType(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    if (/townhouse|terrace/.test(text)) return 'townhouse';
+    if (/house/.test(text)) return 'house';
+    if (/unit|flat|apartment/.test(text)) return 'unit';
+    return 'all';
+}
+
+export function parseBedrooms(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    if (/studio|bedsit/.test(text)) return '0';
+    const count = parseInt(text, 10);
+    return Number.isFinite(count) ? String(Math.min(4, Math.max(0, count))) : 'any';
+}
+
+// Rent and sales figures for the chosen breakdown from one postcode and period's rows (keyed "dwellingType|bedrooms"),
+// falling back to broader breakdowns that have data: same bedrooms across all dwelling types, then the
+// dwelling type with any bedrooms, then all dwellings
+export function getBreakdownRow(rows, dwellingType = 'all', bedrooms = 'any') {
+    if (!rows) return null;
+
+    const candidates = [
+        { dwellingType, bedrooms },
+        { dwellingType: 'all', bedrooms },
+        { dwellingType, bedrooms: 'any' },
+        { dwellingType: 'all', bedrooms: 'any' }
+    ].filter(candidate => rows[`${candidate.dwellingType}|${candidate.bedrooms}`]);
+    if (candidates.length === 0) return null;
+
+    const findSource = (field) => {
+        const source = candidates.find(candidate => rows[`${candidate.dwellingType}|${candidate.bedrooms}`][field] > 0);
+        if (!source) return null;
+        return {
+            ...source,
+            row: rows[`${source.dwellingType}|${source.bedrooms}`],
+            isFallback: source.dwellingType !== dwellingType || source.bedrooms !== bedrooms
+        };
+    };
+    const rentSource = findSource('yearly_median_weekly_rent');
+    const salesSource = findSource('yearly_median_sales_price_000s');
+
+    const first = candidates[0];
+    const result = { ...rows[`${first.dwellingType}|${first.bedrooms}`] };
+    RENT_FIELDS.forEach(field => { result[field] = rentSource ? rentSource.row[field] : null; });
+    SALES_FIELDS.forEach(field => { result[field] = salesSource ? salesSource.row[field] : null; });
+    // Counts describe the figures they came with
+    result.yearly_new_bonds = rentSource ? rentSource.row.yearly_new_bonds ?? null : null;
+    result.yearly_sales_count = salesSource ? salesSource.row.yearly_sales_count ?? null : null;
+    result.rent_breakdown = rentSource && { dwellingType: rentSource.dwellingType, bedrooms: rentSource.bedrooms, isFallback: rentSource.isFallback };
+    result.sales_breakdown = salesSource && { dwellingType: salesSource.dwellingType, bedrooms: salesSource.bedrooms, isFallback: salesSource.isFallback };
+    return result;
+}
+
+/**
+ * Checks a postcode's rent and sales figures for signs they may be unreliable: a missing median, quartiles out
+ * of order, quartiles implausibly far from the median, or a median from few bonds or sales.
+ * @param {Object} data - Housing row for the postcode
+ * @returns {{figure: string, kind: string}[]} Each issue's figure ('rent' or 'sales') and kind
+ *   ('missing', 'inverted', 'outlier' or 'low-sample')
+ */
+export function findDataIssues(data) {
+    const issues = [];
+    QUALITY_FIGURES.forEach(({ figure, fields, count }) => {
+        const [median, firstQuartile, thirdQuartile] = fields.map(field => data[field] > 0 ? data[field] : null);
+        if (median === null) {
+            issues.push({ figure, kind: 'missing' });
+            return;
+        }
+        if ((firstQuartile !== null && firstQuartile > median) || (thirdQuartile !== null && thirdQuartile < median)) {
+            issues.push({ figure, kind: 'inverted' });
+        } else if ((firstQuartile !== null && firstQuartile * QUARTILE_SPREAD_LIMIT < median)
+            || (thirdQuartile !== null && thirdQuartile > median * QUARTILE_SPREAD_LIMIT)) {
+            issues.push({ figure, kind: 'outlier' });
+        }
+        if (data[count] != null && data[count] < LOW_SAMPLE_COUNT) {
+            issues.push({ figure, kind: 'low-sample' });
+        }
+    });
+    return issues;
+}
+
+// Data quality of the figures the household's housing type relies on. Postcodes without counts are never
+// below the minimum sample size, as there is nothing to judge them by.
+export function calculateDataQuality(data, userSettings) {
+    const { figure, count } = QUALITY_FIGURES.find(item => item.housingType === userSettings.housingType) || QUALITY_FIGURES[0];
+    const issues = findDataIssues(data);
+    return {
+        data_issues: issues,
+        low_confidence: issues.some(issue => issue.figure === figure && issue.kind !== 'missing'),
+        below_min_sample: isBelowMinSample(data[count], userSettings)
+    };
+}
+
+export function isBelowMinSample(count, userSettings) {
+    return userSettings.minSampleSize > 0 && count != null && count < userSettings.minSampleSize;
+}
+
+// Fresh copies of one period's rows for the chosen breakdown, so calculated fields never leak between views.
+// `series` maps postcode -> period -> "dwellingType|bedrooms" -> source row.
+export function buildHousingView(series, period, settings) {
+    const view = {};
+    for (const postcode in series) {
+        const row = getBreakdownRow(series[postcode][period], settings.dwellingType, settings.bedrooms);
+        if (row) {
+            view[postcode] = row;
+        }
+    }
+    return view;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Rolls postcode results up into regions. Postcodes without a region, outside the commute limit or below
+ * the minimum sample size are left out.
+ * @param {Object<string, Object>} results - Per-postcode results from calculateAffordability
+ * @param {function(string): ?string} regionOf - Region name for a postcode, or null when it has none
+ * @param {function(Object): ?string} bandOf - Affordability band key for a result, or null without data
+ * @returns {{region: string, postcodes: number, withData: number, counts: Object<string, number>,
+ *   medianPercentage: ?number, medianLeftover: ?number}[]} One summary per region, in name order. Medians
+ *   are over the postcodes with data.
+ */
+export function summariseRegions(results, regionOf, bandOf) {
+    const regions = new Map();
+    for (const postcode in results) {
+        const result = results[postcode];
+        const region = regionOf(postcode);
+        if (!region || result.outside_commute || result.below_min_sample) continue;
+
+        if (!regions.has(region)) regions.set(region, { region, postcodes: 0, counts: {}, percentages: [], leftovers: [] });
+        const summary = regions.get(region);
+        summary.postcodes++;
+        const band = bandOf(result);
+        if (band === null) continue;
+        summary.counts[band] = (summary.counts[band] || 0) + 1;
+        summary.percentages.push(result.affordability_percentage);
+        summary.leftovers.push(result.weekly_money_leftover);
+    }
+
+    return [...regions.values()]
+        .sort((a, b) => a.region.localeCompare(b.region))
+        .map(({ percentages, leftovers, ...summary }) => ({
+            ...summary,
+            withData: percentages.length,
+            medianPercentage: median(percentages),
+            medianLeftover: median(leftovers)
+        }));
+}
+
+/**
+ * Computes every per-postcode result the map, table and legend use.
+ * @param {Object<string, Object>} rows - Housing rows keyed by postcode, e.g. from buildHousingView
+ * @param {Object} settings - From buildSettings
+ * @param {Object<string, number[]>} [centroids] - [lat, lng] by postcode, needed for commute results
+ * @returns {{serviceability: Object, results: Object<string, Object>}} The household's serviceability and,
+ *   per postcode, its row merged with the computed fields
+ */
+export function calculateAffordability(rows, settings, centroids = {}) {
+    const serviceability = calculateServiceability(settings);
+    const results = {};
+
+    for (const postcode in rows) {
+        const data = rows[postcode];
+        const commute = getCommute(centroids[postcode], settings);
+        const postcodeSettings = getPostcodeSettings(settings, commute);
+
+        // Commute costs count as living costs, so lenders assess each postcode separately when they're included
+        const postcodeServiceability = postcodeSettings === settings ? serviceability : calculateServiceability(postcodeSettings);
+        const savingsPlan = calculateSavingsPlan(data, postcodeSettings);
+        const rentVsBuy = calculateRentVsBuy(data, postcodeSettings);
+
+        results[postcode] = {
+            ...data,
+            commute_distance: commute ? commute.distance : null,
+            commute_weekly_cost: commute ? commute.weeklyCost : null,
+            outside_commute: Boolean(commute && commute.isOutside),
+            ...calculatePostcodeAffordability(data, postcodeSettings),
+            ...calculatePostcodeServiceability(data, postcodeSettings, postcodeServiceability),
+            ...calculatePostcodeUpfrontCosts(data, postcodeSettings),
+            savings_target: savingsPlan ? savingsPlan.target : null,
+            years_to_save: savingsPlan ? savingsPlan.years : null,
+            has_savings_plan: Boolean(savingsPlan),
+            rent_buy_weekly_gap: rentVsBuy ? rentVsBuy.weeklyGap : null,
+            rent_buy_break_even_year: rentVsBuy ? rentVsBuy.breakEvenYear : null,
+            has_rent_vs_buy: Boolean(rentVsBuy),
+            ...calculateRateTipping(data, postcodeSettings),
+            ...calculateIncomeRequired(data, postcodeSettings),
+            ...calculateDataQuality(data, postcodeSettings),
+            ...calculateQuartilePayments(data, postcodeSettings)
+        };
+    }
+
+    return { serviceability, results };
+}
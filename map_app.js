@@ -1,94 +1,261 @@
+import {
+    DWELLING_TYPES, BEDROOM_OPTIONS, BEDROOM_OPTION_ORDER, INFLATION_RATES, DEFAULT_VALUES, TAX_TABLES, DEFAULT_TAX_YEAR, INCOME_PERIODS, MAX_YEARS_TO_SAVE, MAX_STRESS_RATE, LOW_SAMPLE_COUNT, QUARTILE_SPREAD_LIMIT,
+    adjustForInflation, convertNetToGross, serializeEarners, parseWorkplace, getEarnersFromState, buildSettings,
+    getPricesForPoint, calculateUpfrontCosts, calculateWeeklyMortgage, calculatePostcodeAffordability, calculateServiceability,
+    calculatePostcodeServiceability, calculateSavingsPlan, calculateRentVsBuy, calculateAffordability, calculateCentroid, getCommute, getPostcodeSettings,
+    findNearestPostcode, parseDwellingType, parseBedrooms, getBreakdownRow, buildHousingView, applyIncomeChange, sweepInterestRates, summariseRegions
+} from './affordability_engine.mjs';
+
 // Data file paths
-const GEOJSON_PATH = './data/POA_2021_NSW.geojson';
+// Boundaries rounded and simplified by scripts/simplify_boundaries.mjs from data/POA_2021_NSW.geojson
+const GEOJSON_PATH = './data/POA_2021_NSW.simplified.geojson';
 const SUBURBS_PATH = './data/postcode_to_suburbs.csv';
 const AGGREGATED_DATA_PATH = './data/aggregated_yearly_data.csv';
-
-// =============================================================================
-// DEFAULT VALUES AND INFLATION RATES
-// =============================================================================
-// All default values are sourced from official ABS data and adjusted for inflation
-// to current values using compound inflation calculations.
-
-// ABS Inflation rates by year (as percentages)
-const INFLATION_RATES = {
-    2020: 0.9,   // 2020-21
-    2021: 2.9,   // 2021-22
-    2022: 6.6,   // 2022-23
-    2023: 5.6,   // 2023-24
-    2024: 3.16,  // 2024-25
-    2025: 2.10   // 2025-26 (projected)
+const DATASET_VERSION_PATH = './data/version.json';
+// Region of each postcode for the regional summary, built by scripts/build_regions.mjs; optional
+const REGIONS_PATH = './data/postcode_to_regions.csv';
+// Coast and state border drawn in place of the basemap when its tiles can't be fetched
+const OUTLINE_PATH = './data/nsw_outline.geojson';
+const SERVICE_WORKER_PATH = './service-worker.js';
+
+// Typing in a field waits this long for a pause before recalculating every postcode
+const INPUT_DEBOUNCE_MS = 250;
+// Leaflet drops polygon points closer than this many pixels at the current zoom, so zoomed-out views draw fewer points
+const BOUNDARY_SMOOTH_FACTOR = 1.5;
+
+// Period assigned to rows of a single-snapshot file without a Period column
+const DEFAULT_PERIOD = 'Latest';
+
+// Inputs that make up a scenario, serialised into shareable URLs and saved scenarios, keyed by element id
+const SCENARIO_INPUT_FIELDS = [
+    'taxYear', 'privateHealth', 'mapMode', 'colourScale', 'colourPalette', 'pricePoint', 'dwellingType', 'bedrooms', 'minSampleSize', 'mortgageType', 'interestRate', 'loanTerm', 'depositPercent', 'depositAmount',
+    'assessmentBuffer', 'dtiCap', 'dependants', 'firstHomeBuyer', 'capitaliseLmi', 'conveyancingCosts', 'savings', 'targetDepositPercent', 'savingsReturn',
+    'capitalGrowth', 'rentGrowth', 'depositReturn', 'maxCommuteDistance', 'includeCommuteCost', 'commuteDays', 'commuteCostPerKm',
+    'stressMinRate', 'stressMaxRate', 'stressIncomeChange', 'utilities', 'food', 'transport', 'other', 'strata', 'council', 'water', 'maintenance'
+];
+// Radio groups that make up a scenario, keyed by input name
+const SCENARIO_RADIO_FIELDS = ['housingType', 'depositType'];
+
+// Affordability bands shared by the map colours, legend and data table filter.
+// Postcodes with negative leftover income and postcodes without data sit outside these bands.
+const AFFORDABILITY_BANDS = [
+    { key: 'very-affordable', max: 20, color: '#16a34a', label: '≤ 20% (Well Below 30% Rule)' },   // Dark green
+    { key: 'affordable', max: 30, color: '#22c55e', label: '21-30% (At 30% Rule Limit)' },         // Green
+    { key: 'moderate', max: 40, color: '#fbbf24', label: '31-40% (Moderate Housing Stress)' },     // Yellow
+    { key: 'high', max: 50, color: '#f97316', label: '41-50% (High Housing Stress)' },             // Orange
+    { key: 'severe', max: Infinity, color: '#ef4444', label: '> 50% (Severe Housing Stress)' }     // Red
+];
+const NEGATIVE_LEFTOVER_BAND = { key: 'negative', color: '#000000', label: 'Negative leftover' };
+const NO_DATA_BAND = { key: 'no-data', color: '#ccc', label: 'No Data' };
+
+// Postcodes beyond the commute limit stay on the map but fade into the background
+const OUTSIDE_COMMUTE_FILL_OPACITY = 0.12;
+// Serviceability map colours, by headroom between the maximum loan and the loan needed at the price point
+const SERVICEABILITY_BANDS = [
+    { key: 'comfortable', minHeadroomShare: 0.1, color: '#16a34a', label: 'Within max loan (10%+ headroom)' },
+    { key: 'tight', minHeadroomShare: 0, color: '#86efac', label: 'Within max loan (under 10% headroom)' },
+    { key: 'short', minShortfall: -100_000, color: '#f97316', label: 'Short by up to $100k' },
+    { key: 'well-short', minShortfall: -Infinity, color: '#ef4444', label: 'Short by more than $100k' }
+];
+
+// Upfront cash map colours, by how far savings are above or below the cash needed at the price point
+const CASH_NEEDED_BANDS = [
+    { key: 'covered-spare', minGap: 20_000, color: '#16a34a', label: 'Covered with $20k+ to spare' },
+    { key: 'covered', minGap: 0, color: '#86efac', label: 'Covered' },
+    { key: 'short', minGap: -50_000, color: '#f97316', label: 'Short by up to $50k' },
+    { key: 'well-short', minGap: -Infinity, color: '#ef4444', label: 'Short by more than $50k' }
+];
+
+// Years-to-save map colours, by how long saving the deposit and upfront costs takes while renting
+const YEARS_TO_SAVE_BANDS = [
+    { key: 'ready', maxYears: 0, color: '#15803d', label: 'Ready now' },
+    { key: 'under-2', maxYears: 2, color: '#22c55e', label: 'Under 2 years' },
+    { key: 'under-5', maxYears: 5, color: '#a3e635', label: '2-5 years' },
+    { key: 'under-10', maxYears: 10, color: '#fbbf24', label: '5-10 years' },
+    { key: 'under-20', maxYears: 20, color: '#f97316', label: '10-20 years' },
+    { key: 'over-20', maxYears: Infinity, color: '#ef4444', label: '20+ years or never' }
+];
+// Map modes about buying, which need the purchase settings visible even when renting
+const PURCHASE_MAP_MODES = ['serviceability', 'cashNeeded', 'yearsToSave', 'rentBuyGap', 'rentBuyBreakEven', 'stressRate'];
+// Map modes coloured by their own fixed bands, listed most to least favourable
+const FIXED_BAND_MODES = {
+    serviceability: { title: 'Lender Serviceability', bands: SERVICEABILITY_BANDS },
+    cashNeeded: { title: 'Savings vs Upfront Cash Needed', bands: CASH_NEEDED_BANDS },
+    yearsToSave: { title: 'Years to Save While Renting', bands: YEARS_TO_SAVE_BANDS }
 };
 
-// Base values from official ABS sources (before inflation adjustment)
-const DEFAULT_VALUES = {
-    // Household Income: ABS median equivalised disposable household income
-    // Source: ABS Measuring What Matters - Household income and wealth
-    // URL: https://www.abs.gov.au/statistics/measuring-what-matters/measuring-what-matters-themes-and-indicators/prosperous/household-income-and-wealth
-    householdIncome: {
-        base: 61984,        // 2022-23 value ($1,192/week)
-        baseYear: 2022,
-        targetYear: 2025,
-        description: "ABS median equivalised disposable household income"
+const DOLLAR_FORMAT = new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD', maximumFractionDigits: 0 });
+const COMPACT_DOLLAR_FORMAT = new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD', notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 1 });
+const SIGNED_COMPACT_DOLLAR_FORMAT = new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD', notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 1, signDisplay: 'exceptZero' });
+// Map modes coloured by a measure on an adjustable scale. Each has a default scale type and thresholds:
+// upper limits of each band for fixed thresholds, the number of bands for quantiles, and the ends of the
+// ramp for a continuous scale. `better` is the favourable end, and `step` rounds quantile thresholds.
+const MAP_METRICS = {
+    affordability: {
+        title: 'Housing Affordability', value: data => data.affordability_percentage || null, better: 'low',
+        scale: 'threshold', thresholds: [20, 30, 40, 50], step: 1, format: value => `${value}%`,
+        flagsNegativeLeftover: true, bandLabels: AFFORDABILITY_BANDS.map(band => band.label)
     },
-
-    // Cost of Living: ABS Household Expenditure Survey (HES) 2019-20
-    // Source: ABS Household Expenditure Survey 2019-20
-    // Adjusted for inflation to 2024 values (converted to weekly)
-    costOfLiving: {
-        utilities: {
-            base: 46,       // 2019-20 weekly value (200/52*12)
-            baseYear: 2019,
-            targetYear: 2024,
-            description: "ABS HES 2019-20 utilities expenditure"
-        },
-        food: {
-            base: 92,       // 2019-20 weekly value (400/52*12)
-            baseYear: 2019,
-            targetYear: 2024,
-            description: "ABS HES 2019-20 food & groceries expenditure"
-        },
-        transport: {
-            base: 69,       // 2019-20 weekly value (300/52*12)
-            baseYear: 2019,
-            targetYear: 2024,
-            description: "ABS HES 2019-20 transport expenditure"
-        }
+    netPercentage: {
+        title: 'Housing Cost as % of Net Income', value: data => data.net_income_percentage, better: 'low',
+        scale: 'threshold', thresholds: [25, 35, 45, 60], step: 1, format: value => `${value}%`,
+        flagsNegativeLeftover: true
     },
-
-    // Mortgage Settings: Current market rates and typical defaults
-    mortgage: {
-        interestRate: 6.5,      // Current market rate
-        loanTerm: 30,           // Standard loan term
-        depositPercent: 20,     // Standard deposit percentage
-        depositAmount: 100000   // Default deposit amount
+    leftover: {
+        title: 'Weekly Money Left Over', value: data => data.weekly_money_leftover, better: 'high',
+        scale: 'continuous', thresholds: [-200, 0, 250, 500, 1000], step: 10, format: value => DOLLAR_FORMAT.format(value)
     },
-
-    // Owner Costs: Typical NSW property ownership costs (weekly)
-    ownerCosts: {
-        strata: 92,         // Weekly strata/body corp (apartments)
-        council: 46,        // Weekly council rates
-        water: 23,          // Weekly water & sewer
-        maintenance: 69     // Weekly maintenance (1% of property value annually)
+    incomeRequired: {
+        title: 'Gross Income Needed for the 30% Rule', value: data => data.income_required, better: 'low',
+        scale: 'continuous', thresholds: [50_000, 100_000, 150_000, 200_000, 300_000], step: 1000, format: value => COMPACT_DOLLAR_FORMAT.format(value)
+    },
+    incomeGap: {
+        // Above zero the household earns less than the 30% rule needs here
+        title: 'Income Needed for the 30% Rule, Compared with Yours', value: data => data.income_required_gap, better: 'low',
+        scale: 'continuous', thresholds: [-50_000, 0, 50_000, 100_000, 200_000], step: 1000, format: value => SIGNED_COMPACT_DOLLAR_FORMAT.format(value)
+    },
+    breakEvenIncome: {
+        title: 'Gross Income Needed to Break Even', value: data => data.break_even_gross_income, better: 'low',
+        scale: 'continuous', thresholds: [50_000, 75_000, 100_000, 150_000, 200_000], step: 1000, format: value => COMPACT_DOLLAR_FORMAT.format(value)
+    },
+    priceToIncome: {
+        title: 'Price-to-Income Ratio', value: data => data.price_to_income, better: 'low',
+        scale: 'quantile', thresholds: [4, 6, 8, 10], step: 0.1, format: value => `${value}×`
+    },
+    rentYield: {
+        title: 'Gross Rental Yield', value: data => data.rent_yield, better: 'high',
+        scale: 'quantile', thresholds: [2.5, 3, 3.5, 4.5], step: 0.1, format: value => `${value}%`
+    },
+    rentBuyGap: {
+        title: 'Weekly Cost of Buying over Renting', value: data => data.rent_buy_weekly_gap, better: 'low',
+        scale: 'continuous', thresholds: [-200, 0, 200, 400, 800], step: 10, format: value => DOLLAR_FORMAT.format(value)
+    },
+    rentBuyBreakEven: {
+        // Postcodes that don't break even within the loan term go in the last band
+        title: 'Years Until Buying Beats Renting',
+        value: data => data.has_rent_vs_buy ? (data.rent_buy_break_even_year ?? Infinity) : null, better: 'low',
+        scale: 'threshold', thresholds: [5, 10, 15, 20], step: 1, format: value => `${value} yrs`, overflowLabel: 'or never'
+    },
+    stressRate: {
+        // Postcodes within the 30% rule at every rate tested go in the last band
+        title: 'Interest Rate That Tips Buying Past 30%',
+        value: data => data.has_rate_tipping ? (data.stress_rate ?? Infinity) : null, better: 'high',
+        scale: 'threshold', thresholds: [4, 5, 6, 8], step: 0.25, format: value => `${value}%`
     }
 };
 
+// Map colour palettes, each running from the most to the least favourable end of a scale. The standard
+// palette keeps each fixed band's own colour; the others stay distinguishable with colour blindness and
+// avoid black at the unfavourable end, which marks negative leftover income.
+const COLOUR_PALETTES = {
+    standard: d3.piecewise(d3.interpolateRgb, AFFORDABILITY_BANDS.map(band => band.color)),
+    viridis: t => d3.interpolateViridis(1 - 0.9 * t),
+    cividis: t => d3.interpolateCividis(1 - 0.9 * t),
+    blueRed: t => d3.interpolateRdBu(0.9 - 0.8 * t)
+};
+
+// Scenario comparison colours, by how many affordability bands a postcode moves from scenario A to scenario B
+const COMPARISON_BANDS = [
+    { key: 'better-2', maxChange: -2, color: '#15803d', label: '2+ bands more affordable' },
+    { key: 'better-1', maxChange: -1, color: '#86efac', label: '1 band more affordable' },
+    { key: 'unchanged', maxChange: 0, color: '#e5e7eb', label: 'No change' },
+    { key: 'worse-1', maxChange: 1, color: '#fca5a5', label: '1 band less affordable' },
+    { key: 'worse-2', maxChange: Infinity, color: '#b91c1c', label: '2+ bands less affordable' }
+];
+
+// localStorage key for named saved scenarios
+const SCENARIO_STORAGE_KEY = 'nsw-housing-affordability.scenarios';
+
+// Printed report map: width in SVG units, and how far it extends around the postcode as a share of the postcode's size
+const REPORT_MAP_WIDTH = 360;
+const REPORT_MAP_PADDING = 1;
+
+// Interest rate stress test: gap between the rates charted, and the most rates drawn before the gap widens
+const STRESS_RATE_STEP = 0.5;
+const MAX_STRESS_RATES = 41;
+
+// Region levels in the regions file, keyed by column, with how the map legend names them
+const REGION_LEVELS = {
+    Greater_Capital: 'Greater Sydney and Rest of NSW',
+    SA4: 'ABS SA4 Region',
+    LGA: 'Local Government Area'
+};
+const ALL_REGIONS_LABEL = 'All of NSW';
+
+// Pinned postcodes: how many can be compared at once, and the outline that marks them on the map
+const MAX_PINNED_POSTCODES = 8;
+const PINNED_STYLE = { weight: 3, opacity: 1, color: '#db2777' };
+
+// Hatching drawn over postcodes whose figures may be unreliable, in its own pane above the postcodes
+// (Leaflet's overlay pane sits at 400) so hovering a postcode can't raise it over the hatching
+const LOW_CONFIDENCE_PATTERN_ID = 'low-confidence-hatch';
+const LOW_CONFIDENCE_PANE = 'lowConfidence';
+const LOW_CONFIDENCE_PANE_Z_INDEX = 450;
+// How postcode details explain each data quality issue, for the rent or sales figures it affects
+const DATA_FIGURES = {
+    rent: { name: 'rent', counted: 'new bonds', housing: 'renting' },
+    sales: { name: 'sale price', counted: 'sales', housing: 'buying' }
+};
+const DATA_ISSUE_TEXT = {
+    missing: figure => `No ${figure.name} figures were recorded, so ${figure.housing} here shows as No Data.`,
+    inverted: figure => `The ${figure.name} quartiles are out of order, which points to an error in the source data.`,
+    outlier: figure => `A ${figure.name} quartile is more than ${QUARTILE_SPREAD_LIMIT} times the median or under 1/${QUARTILE_SPREAD_LIMIT} of it, which points to an error or a few unusual properties.`,
+    'low-sample': figure => `The ${figure.name} figures come from fewer than ${LOW_SAMPLE_COUNT} ${figure.counted} in the year, so they can swing a lot.`
+};
+
 class HousingAffordabilityMap {
     constructor() {
         // Map and data state
         this.map = null;
         this.geojsonData = null;
         this.housingData = {};
+        this.housingSeries = {};    // postcode -> period -> "dwellingType|bedrooms" -> source row
+        this.hasBreakdowns = false;
+        this.hasSampleCounts = false; // Whether the data has bond and sales counts to filter by
+        this.lowConfidenceLayer = null;
+        this.pinnedPostcodes = [];  // In the order they were pinned, shown side by side in the comparison drawer
+        this.pinDrawerContainer = null;
+        this.regionLookup = {};     // postcode -> { Greater_Capital, SA4, LGA }
+        this.hasRegions = false;
+        this.regionSummaries = [];  // Per region at the selected level, for the current scenario
+        this.regionSummaryByName = {};
+        this.centroids = {};        // postcode -> [lat, lng] of its polygon centroid
+        this.workplace = null;      // { lat, lng } when a workplace is set
+        this.workplaceLabel = null; // Suburb picked for the workplace, if any
+        this.workplaceLayers = null;
+        this.isPlacingWorkplace = false;
+        this.periods = [];          // Sorted oldest to newest
+        this.selectedPeriod = null;
         this.suburbLookup = {};
         this.sortedDataList = [];
         this.openPostcode = null;
         this.geojsonLayer = null;
         this.activePopupLayer = null;
+        this.layersByPostcode = {};
+        this.searchIndex = [];
+        this.pendingUpdate = null;  // Timer for a recalculation waiting for typing to pause
+        this.datasetVersion = null; // From data/version.json, shown so offline users know how current the data is
+        this.outlineLayer = null;   // Bundled NSW outline, loaded the first time tiles fail
+        this.isBasemapOffline = false;
+
+        // Saved scenario comparison: { a, b, results } while comparing, otherwise null
+        this.comparison = null;
+        // Household borrowing capacity for the current scenario, see calculateServiceability in affordability_engine.mjs
+        this.serviceability = null;
+        // Colour scale for the selected map mode, rebuilt before each render since quantiles follow the data
+        this.colourScale = null;
+
+        // Data table state
+        this.tableSort = { key: 'affordability_percentage', direction: 'asc' };
 
         // User settings
         this.housingType = 'rent'; // 'rent' or 'buy'
         this.depositType = 'percent';
         this.mortgageType = 'PI';
 
+        // Scenario passed in a shared link, read once before defaults overwrite the inputs
+        this.initialUrlState = new URLSearchParams(window.location.search);
+
         // Layer styling
         this.defaultStyle = { weight: 1, opacity: 1, color: 'white', fillOpacity: 0.7 };
         this.highlightStyle = { weight: 3, color: '#333', fillOpacity: 1 };
@@ -97,33 +264,50 @@ class HousingAffordabilityMap {
     }
 
     async _initialize() {
+        this._registerServiceWorker();
         this._initMap();
         this._bindEventListeners();
+        this._setupDatasetStatus();
         try {
             await this._loadData();
+            this._restorePinnedPostcodes();
             this.updateMapAndTable();
+            this._restoreOpenPostcode();
         } catch (error) {
             console.error("Initialization failed:", error);
         }
     }
 
     _initMap() {
-        this.map = L.map('map').setView([-33, 149], 6);
-        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        const sharedView = this._parseUrlView(this.initialUrlState.get('view'));
+        this.map = L.map('map').setView(sharedView ? sharedView.center : [-33, 149], sharedView ? sharedView.zoom : 6);
+        const tiles = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
             maxZoom: 19,
             attribution: '© OpenStreetMap contributors'
         }).addTo(this.map);
+        tiles.on('tileerror', () => this._setBasemapOffline(true));
+        tiles.on('tileload', () => this._setBasemapOffline(false));
 
         this._addLegend();
+        this._addPeriodControl();
+        this._addSearchControl();
+        this._addPinDrawer();
         this.map.on('popupclose', () => {
             this.openPostcode = null;
             this.activePopupLayer = null;
+            this._writeUrlState();
         });
+        this.map.on('moveend', () => this._writeUrlState());
     }
 
     _bindEventListeners() {
         // Income calculation
-        document.getElementById('annualIncome').addEventListener('input', () => this._updateNetIncome());
+        this._populateTaxYears();
+        this._populateBreakdownOptions();
+        this._setupEarners();
+        ['taxYear', 'privateHealth'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this._updateNetIncome());
+        });
 
         // Housing type toggle
         document.querySelectorAll('input[name="housingType"]').forEach(radio => {
@@ -133,7 +317,7 @@ class HousingAffordabilityMap {
         // Mortgage settings
         const mortgageControls = ['interestRate', 'loanTerm', 'depositPercent', 'depositAmount'];
         mortgageControls.forEach(id => {
-            document.getElementById(id).addEventListener('input', () => this.updateMapAndTable());
+            document.getElementById(id).addEventListener('input', () => this._scheduleUpdate());
         });
 
         document.getElementById('mortgageType').addEventListener('change', (event) => this._handleMortgageTypeChange(event.target.value));
@@ -145,47 +329,222 @@ class HousingAffordabilityMap {
         // Living costs
         const livingCostControls = ['utilities', 'food', 'transport', 'other', 'strata', 'council', 'water', 'maintenance'];
         livingCostControls.forEach(id => {
-            document.getElementById(id).addEventListener('input', () => this.updateMapAndTable());
+            document.getElementById(id).addEventListener('input', () => this._scheduleUpdate());
+        });
+
+        // Price point, dwelling type and bedroom selectors
+        ['pricePoint', 'dwellingType', 'bedrooms'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateMapAndTable());
         });
+        document.getElementById('minSampleSize').addEventListener('input', () => this._scheduleUpdate());
 
-        // Price point selector
-        document.getElementById('pricePoint').addEventListener('change', () => this.updateMapAndTable());
+        // Serviceability settings and map colouring
+        ['assessmentBuffer', 'dtiCap', 'dependants', 'conveyancingCosts', 'savings', 'targetDepositPercent', 'savingsReturn', 'capitalGrowth', 'rentGrowth', 'depositReturn'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this._scheduleUpdate());
+        });
+        ['firstHomeBuyer', 'capitaliseLmi'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateMapAndTable());
+        });
+        document.getElementById('mapMode').addEventListener('change', () => {
+            this._resetColourScale();
+            this._updateSectionVisibility();
+            this.updateMapAndTable();
+        });
+        ['colourScale', 'colourPalette'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateMapAndTable());
+        });
+        document.getElementById('colourThresholds').addEventListener('input', () => this._scheduleUpdate());
 
 
         this._setupCollapsibleControls();
+        this._setupDataTable();
+        this._setupSavedScenarios();
+        this._setupCommute();
         this._setupMobilePopup();
         this._setupWindowResize();
         this._setupHeaderToggle();
+        this._setupShareLink();
+        this._setupExport();
+        this._setupStressTest();
+        this._setupPinning();
+        this._setupRegionSummary();
 
-        // Set default values with proper inflation adjustment
+        // Set default values with proper inflation adjustment, then apply any shared scenario on top
         this._setDefaultValues();
+        this._applyScenarioState(Object.fromEntries(this.initialUrlState));
+    }
 
-        // Initial calculations
-        this._updateNetIncome();
+    _setupEarners() {
+        const earnerList = document.getElementById('earnerList');
+        // Income summaries follow each keystroke; the map waits for typing to pause
+        earnerList.addEventListener('input', () => {
+            this._updateIncomeSummary();
+            this._scheduleUpdate();
+        });
+        earnerList.addEventListener('change', (event) => {
+            if (event.target.classList.contains('earner-period')) {
+                event.target.closest('.earner-row').querySelector('.earner-amount').step = INCOME_PERIODS[event.target.value].step;
+            }
+            this._updateNetIncome();
+        });
+        earnerList.addEventListener('click', (event) => {
+            const removeButton = event.target.closest('.earner-remove');
+            if (!removeButton) return;
+            removeButton.closest('.earner-row').remove();
+            this._renderEarnerInputs(this._readEarnerInputs());
+            this._updateNetIncome();
+        });
+
+        document.getElementById('addEarner').addEventListener('click', () => {
+            this._renderEarnerInputs([...this._readEarnerInputs(), { type: 'net', amount: 0, hasHelpDebt: false, period: 'year' }]);
+            this._updateNetIncome();
+        });
+    }
+
+    _readEarnerInputs() {
+        return [...document.querySelectorAll('#earnerList .earner-row')].map(row => ({
+            type: row.querySelector('.earner-type').value,
+            amount: parseFloat(row.querySelector('.earner-amount').value) || 0,
+            hasHelpDebt: row.querySelector('.earner-help').checked,
+            period: row.querySelector('.earner-period').value
+        }));
+    }
+
+    _renderEarnerInputs(earners) {
+        const earnerList = document.getElementById('earnerList');
+        const template = document.getElementById('earner-template');
+        earnerList.innerHTML = '';
+
+        earners.forEach((earner, index) => {
+            const row = template.content.cloneNode(true).querySelector('.earner-row');
+            row.querySelector('.earner-label').textContent = `Earner ${index + 1}`;
+            row.querySelector('.earner-amount').value = earner.amount;
+            row.querySelector('.earner-type').value = earner.type;
+            row.querySelector('.earner-help').checked = earner.hasHelpDebt;
+            row.querySelector('.earner-period').value = earner.period;
+            row.querySelector('.earner-amount').step = INCOME_PERIODS[earner.period].step;
+            // A household always has at least one earner
+            row.querySelector('.earner-remove').classList.toggle('hidden', earners.length === 1);
+            earnerList.appendChild(row);
+        });
+    }
+
+    _populateTaxYears() {
+        const select = document.getElementById('taxYear');
+        Object.keys(TAX_TABLES).forEach(year => {
+            select.add(new Option(year, year));
+        });
+        select.value = DEFAULT_TAX_YEAR;
     }
 
     async _loadData() {
-        const [geojson, suburbs, affordability] = await Promise.all([
+        const [geojson, suburbs, affordability, datasetVersion, regions] = await Promise.all([
             fetch(GEOJSON_PATH).then(res => res.json()),
             this._loadCsv(SUBURBS_PATH),
-            this._loadCsv(AGGREGATED_DATA_PATH)
+            this._loadCsv(AGGREGATED_DATA_PATH),
+            // The version is only informational, so the map still loads without it
+            fetch(DATASET_VERSION_PATH).then(res => res.ok ? res.json() : null).catch(() => null),
+            // Without regions the summary explains how to build them
+            this._loadCsv(REGIONS_PATH).catch(() => [])
         ]);
 
+        regions.forEach(item => {
+            const postcode = String(item.Postcode);
+            if (!postcode || postcode === 'null') return;
+            this.regionLookup[postcode] = Object.fromEntries(Object.keys(REGION_LEVELS).map(level => [level, item[level] != null ? String(item[level]) : null]));
+        });
+        this.hasRegions = Object.keys(this.regionLookup).length > 0;
+        // The regions file is optional, so the table only offers the regional summary when it loaded
+        document.getElementById('table-tabs').classList.toggle('hidden', !this.hasRegions);
+        if (this.hasRegions) document.getElementById('table-title').textContent = 'Postcodes and Regions';
+        const sharedRegionLevel = this.initialUrlState.get('regionLevel');
+        if (REGION_LEVELS[sharedRegionLevel]) document.getElementById('regionLevel').value = sharedRegionLevel;
+        document.getElementById('regionMapLayer').checked = this.hasRegions && this.initialUrlState.get('regionMap') === '1';
+
+        this.datasetVersion = datasetVersion && datasetVersion.version;
+        this._updateDatasetStatus();
+
         this.geojsonData = geojson;
+        geojson.features.forEach(feature => {
+            const centroid = calculateCentroid(feature.geometry);
+            if (centroid) {
+                this.centroids[String(feature.properties.POA_CODE21)] = centroid;
+            }
+        });
 
+        const periods = new Set();
         affordability.forEach(item => {
             const postcode = String(item.Postcode);
             if (postcode && postcode !== 'null') {
-                this.housingData[postcode] = item;
+                const period = item.Period != null && item.Period !== '' ? String(item.Period) : DEFAULT_PERIOD;
+                const breakdown = `${parseDwellingType(item.Dwelling_Type)}|${parseBedrooms(item.Bedrooms)}`;
+                periods.add(period);
+                this.housingSeries[postcode] = this.housingSeries[postcode] || {};
+                this.housingSeries[postcode][period] = this.housingSeries[postcode][period] || {};
+                this.housingSeries[postcode][period][breakdown] = item;
+                this.hasBreakdowns = this.hasBreakdowns || breakdown !== 'all|any';
+                this.hasSampleCounts = this.hasSampleCounts || item.yearly_new_bonds != null || item.yearly_sales_count != null;
             }
         });
 
+        // Periods are written as 2024, 2024-Q3 or 2024-09, which sort correctly as numeric-aware strings
+        this.periods = [...periods].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        const sharedPeriod = this.initialUrlState.get('period');
+        this.selectedPeriod = this.periods.includes(sharedPeriod) ? sharedPeriod : this.periods[this.periods.length - 1];
+        this._updatePeriodControl();
+        document.getElementById('breakdownSettings').classList.toggle('hidden', !this.hasBreakdowns);
+        document.getElementById('sampleSizeGroup').classList.toggle('hidden', !this.hasSampleCounts);
+
         suburbs.forEach(item => {
             const postcode = String(item.Postcode);
             if (postcode && postcode !== 'null' && item.Suburbs) {
                 this.suburbLookup[postcode] = item.Suburbs;
             }
         });
+
+        this._buildSearchIndex();
+        this._populateWorkplaceOptions();
+    }
+
+    _populateBreakdownOptions() {
+        const dwellingType = document.getElementById('dwellingType');
+        Object.entries(DWELLING_TYPES).forEach(([value, type]) => dwellingType.add(new Option(type.label, value)));
+        const bedrooms = document.getElementById('bedrooms');
+        BEDROOM_OPTION_ORDER.forEach(value => bedrooms.add(new Option(BEDROOM_OPTIONS[value].label, value)));
+    }
+
+    // e.g. "3-bedroom houses", "studio units" or "dwellings"
+    _describeBreakdown({ dwellingType, bedrooms }) {
+        const type = DWELLING_TYPES[dwellingType].description;
+        return bedrooms === 'any' ? type : `${BEDROOM_OPTIONS[bedrooms].description} ${type}`;
+    }
+
+    // One entry per suburb name plus one per postcode, limited to postcodes that have a polygon to fly to
+    _buildSearchIndex() {
+        this.searchIndex = [];
+        this.geojsonData.features.forEach(feature => {
+            const postcode = String(feature.properties.POA_CODE21);
+            const suburbs = this.suburbLookup[postcode];
+            this.searchIndex.push({ postcode, label: postcode, detail: suburbs || '', searchText: postcode });
+            if (suburbs) {
+                suburbs.split(/\s*,\s*/).filter(Boolean).forEach(suburb => {
+                    this.searchIndex.push({ postcode, label: suburb, detail: postcode, searchText: suburb.toLowerCase() });
+                });
+            }
+        });
+    }
+
+    _searchLocations(query, limit = 8) {
+        const term = query.trim().toLowerCase();
+        if (!term) return [];
+
+        // Prefix matches rank ahead of partial matches, then alphabetical
+        return this.searchIndex
+            .filter(entry => entry.searchText.includes(term))
+            .map(entry => ({ entry, rank: entry.searchText.startsWith(term) ? 0 : 1 }))
+            .sort((a, b) => a.rank - b.rank || a.entry.label.localeCompare(b.entry.label))
+            .slice(0, limit)
+            .map(({ entry }) => entry);
     }
 
     _loadCsv(path) {
@@ -201,32 +560,24 @@ class HousingAffordabilityMap {
         });
     }
 
-    // Inflation adjustment function for consistent calculations across all metrics
-    _adjustForInflation(baseValue, baseYear, targetYear, inflationRates) {
-        let adjustedValue = baseValue;
-        for (let year = baseYear + 1; year <= targetYear; year++) {
-            if (inflationRates[year]) {
-                adjustedValue *= (1 + inflationRates[year] / 100);
-            }
-        }
-        return Math.round(adjustedValue);
-    }
-
 
     _setDefaultValues() {
         // Set household income default (net input)
         const householdIncome = DEFAULT_VALUES.householdIncome;
-        const adjustedNetIncome = this._adjustForInflation(
+        const adjustedNetIncome = adjustForInflation(
             householdIncome.base, 
             householdIncome.baseYear, 
             householdIncome.targetYear, 
             INFLATION_RATES
         );
-        document.getElementById('annualIncome').value = Math.round(adjustedNetIncome);
+        this._renderEarnerInputs([{ type: 'net', amount: Math.round(adjustedNetIncome), hasHelpDebt: false, period: 'year' }]);
+        document.getElementById('taxYear').value = DEFAULT_TAX_YEAR;
+        document.getElementById('dwellingType').value = 'all';
+        document.getElementById('bedrooms').value = 'any';
 
         // Set cost of living defaults
         Object.entries(DEFAULT_VALUES.costOfLiving).forEach(([field, data]) => {
-            const adjusted = this._adjustForInflation(
+            const adjusted = adjustForInflation(
                 data.base, 
                 data.baseYear, 
                 data.targetYear, 
@@ -240,6 +591,23 @@ class HousingAffordabilityMap {
         document.getElementById('loanTerm').value = DEFAULT_VALUES.mortgage.loanTerm;
         document.getElementById('depositPercent').value = DEFAULT_VALUES.mortgage.depositPercent;
         document.getElementById('depositAmount').value = DEFAULT_VALUES.mortgage.depositAmount;
+        document.getElementById('assessmentBuffer').value = DEFAULT_VALUES.serviceability.assessmentBuffer;
+        document.getElementById('dtiCap').value = DEFAULT_VALUES.serviceability.dtiCap;
+        document.getElementById('dependants').value = DEFAULT_VALUES.serviceability.dependants;
+        document.getElementById('conveyancingCosts').value = DEFAULT_VALUES.purchase.conveyancingCosts;
+        document.getElementById('savings').value = DEFAULT_VALUES.purchase.savings;
+        document.getElementById('targetDepositPercent').value = DEFAULT_VALUES.savingsPlan.targetDepositPercent;
+        document.getElementById('savingsReturn').value = DEFAULT_VALUES.savingsPlan.savingsReturn;
+        document.getElementById('capitalGrowth').value = DEFAULT_VALUES.rentVsBuy.capitalGrowth;
+        document.getElementById('rentGrowth').value = DEFAULT_VALUES.rentVsBuy.rentGrowth;
+        document.getElementById('depositReturn').value = DEFAULT_VALUES.rentVsBuy.depositReturn;
+        document.getElementById('stressMinRate').value = DEFAULT_VALUES.stressTest.minRate;
+        document.getElementById('stressMaxRate').value = DEFAULT_VALUES.stressTest.maxRate;
+        document.getElementById('stressIncomeChange').value = DEFAULT_VALUES.stressTest.incomeChange;
+        document.getElementById('maxCommuteDistance').value = DEFAULT_VALUES.commute.maxDistance;
+        document.getElementById('commuteDays').value = DEFAULT_VALUES.commute.daysPerWeek;
+        document.getElementById('commuteCostPerKm').value = DEFAULT_VALUES.commute.costPerKm;
+        this._resetColourScale();
 
         // Set owner cost defaults
         document.getElementById('strata').value = DEFAULT_VALUES.ownerCosts.strata;
@@ -254,19 +622,19 @@ class HousingAffordabilityMap {
     _updateDefaultText() {
         // Update household income default text
         const householdIncome = DEFAULT_VALUES.householdIncome;
-        const adjustedNetIncome = this._adjustForInflation(
+        const adjustedNetIncome = adjustForInflation(
             householdIncome.base, 
             householdIncome.baseYear, 
             householdIncome.targetYear, 
             INFLATION_RATES
         );
-        const estimatedGross = this._convertNetToGross(adjustedNetIncome);
-        const householdIncomeSpan = document.querySelector('#annualIncome').nextElementSibling;
+        const estimatedGross = convertNetToGross(adjustedNetIncome, this._getUserSettings().taxOptions);
+        const householdIncomeSpan = document.getElementById('earnersHelp');
         householdIncomeSpan.textContent = `Default net: $${Math.round(adjustedNetIncome).toLocaleString()} (ABS equivalised disposable income ${householdIncome.baseYear}-${householdIncome.baseYear + 1}, inflation-adjusted). Estimated gross: $${Math.round(estimatedGross).toLocaleString()}.`;
 
         // Update cost of living default text
         Object.entries(DEFAULT_VALUES.costOfLiving).forEach(([field, data]) => {
-            const adjusted = this._adjustForInflation(
+            const adjusted = adjustForInflation(
                 data.base, 
                 data.baseYear, 
                 data.targetYear, 
@@ -278,286 +646,450 @@ class HousingAffordabilityMap {
     }
 
     _updateNetIncome() {
-        const householdNetIncome = parseFloat(document.getElementById('annualIncome').value) || 0;
+        this._updateIncomeSummary();
+        this.updateMapAndTable();
+    }
+
+    _updateIncomeSummary() {
+        const { netIncome: householdNetIncome, grossIncome: householdGrossIncome, earners } = this._getUserSettings();
         const weeklyNetIncome = householdNetIncome / 52;
-        const householdGrossIncome = this._convertNetToGross(householdNetIncome);
         const weeklyGrossIncome = householdGrossIncome / 52;
         const maxWeeklyHousing = weeklyGrossIncome * 0.30;
+        const totalDeductions = householdGrossIncome - householdNetIncome;
         
         // Update all income breakdown fields
         document.getElementById('netIncome').textContent = `$${Math.round(weeklyNetIncome).toLocaleString()}`;
+        document.getElementById('annualTaxDeductions').textContent = `$${Math.round(totalDeductions).toLocaleString()}`;
         document.getElementById('annualGrossIncome').textContent = `$${Math.round(householdGrossIncome).toLocaleString()}`;
         document.getElementById('weeklyGrossIncome').textContent = `$${Math.round(weeklyGrossIncome).toLocaleString()}`;
         document.getElementById('maxHousingExpense').textContent = `$${Math.round(maxWeeklyHousing).toLocaleString()}`;
+
+        // Show each earner's income converted to annual gross and net, whichever way it was entered
+        document.querySelectorAll('#earnerList .earner-summary').forEach((summary, index) => {
+            const earner = earners[index];
+            summary.textContent = earner
+                ? `= $${Math.round(earner.grossIncome).toLocaleString()}/yr before tax, $${Math.round(earner.netIncome).toLocaleString()}/yr after tax`
+                : '';
+        });
         
         // Update the helper text with the default information
-        const helperSpan = document.querySelector('#annualIncome').nextElementSibling;
+        const helperSpan = document.getElementById('earnersHelp');
         if (helperSpan) {
             const householdIncome = DEFAULT_VALUES.householdIncome;
-            const adjustedNetIncome = this._adjustForInflation(
+            const adjustedNetIncome = adjustForInflation(
                 householdIncome.base, 
                 householdIncome.baseYear, 
                 householdIncome.targetYear, 
                 INFLATION_RATES
             );
-            helperSpan.textContent = `Default net: $${Math.round(adjustedNetIncome).toLocaleString()} (ABS equivalised disposable income ${householdIncome.baseYear}-${householdIncome.baseYear + 1}, inflation-adjusted).`;
+            helperSpan.textContent = `Default net: $${Math.round(adjustedNetIncome).toLocaleString()} (ABS equivalised disposable income ${householdIncome.baseYear}-${householdIncome.baseYear + 1}, inflation-adjusted). Each earner is taxed separately.`;
         }
-        
-        this.updateMapAndTable();
     }
 
-    _calculateMortgage(loanAmount, annualRate, termYears, type) {
-        if (loanAmount <= 0) {
-            return { payment: 0, interest: 0 };
-        }
-        const numPayments = termYears * 12;
-        if (annualRate === 0) {
-            return { payment: loanAmount / numPayments, interest: 0 };
-        }
-
-        const monthlyRate = (annualRate / 100) / 12;
-        const monthlyInterest = loanAmount * monthlyRate;
+    // Current scenario as the raw input values, keyed like shareable URLs and saved scenarios
+    _getScenarioState() {
+        const state = {};
+        SCENARIO_INPUT_FIELDS.forEach(id => {
+            const element = document.getElementById(id);
+            state[id] = element.type === 'checkbox' ? (element.checked ? '1' : '0') : element.value;
+        });
+        SCENARIO_RADIO_FIELDS.forEach(name => {
+            state[name] = document.querySelector(`input[name="${name}"]:checked`).value;
+        });
+        state.earners = serializeEarners(this._readEarnerInputs());
+        state.colourThresholds = document.getElementById('colourThresholds').value;
+        state.workplace = this.workplace ? `${this.workplace.lat.toFixed(5)},${this.workplace.lng.toFixed(5)}` : '';
+        return state;
+    }
 
-        if (type === 'IO') {
-            return { payment: monthlyInterest, interest: monthlyInterest };
-        }
+    // Numeric settings for a scenario, defaulting to the current inputs
+    _getUserSettings(state = this._getScenarioState()) {
+        return buildSettings(state);
+    }
 
-        const factor = Math.pow(1 + monthlyRate, numPayments);
-        const principalAndInterestPayment = monthlyInterest * factor / (factor - 1);
-        return { payment: principalAndInterestPayment, interest: monthlyInterest };
+    _updateAllAffordability() {
+        const userSettings = this._getUserSettings();
+        const rows = buildHousingView(this.housingSeries, this.selectedPeriod, userSettings);
+        const { serviceability, results } = calculateAffordability(rows, userSettings, this.centroids);
+        this.serviceability = serviceability;
+        this.housingData = results;
     }
 
-    // Convert net income to gross income using Australian tax brackets
-    _convertNetToGross(netIncome) {
-        if (!Number.isFinite(netIncome)) throw new TypeError("netIncome must be a finite number");
-        if (netIncome < 0) return 0; // clamp negatives to zero gross
-    
-        // 2024–25 tax brackets: 0%, 16%, 30%, 37%, 45%
-        const BRACKETS = [
-            { lower: 0,      upper: 18_200,  r: 0.00, Cprev:     0 },
-            { lower: 18_200, upper: 45_000,  r: 0.16, Cprev:     0 },
-            { lower: 45_000, upper: 135_000, r: 0.30, Cprev:  4_288 },
-            { lower: 135_000,upper: 190_000, r: 0.37, Cprev: 31_288 },
-            { lower: 190_000,upper: Infinity,r: 0.45, Cprev: 51_638 }
-        ];
-    
-        if (netIncome <= BRACKETS[0].upper) return netIncome;
-        for (let i = 1; i < BRACKETS.length; i++) {
-            const { lower, upper, r, Cprev } = BRACKETS[i];
-            const denom = 1 - r;
-            if (denom <= 0) continue;
-        
-            const candidateGross = (netIncome + Cprev - r * lower) / denom;
-        
-            const inRange =
-                candidateGross >= lower &&
-                (i === BRACKETS.length - 1 ? candidateGross >= lower : candidateGross < upper);
-        
-            if (inRange) return candidateGross;
-        }
-    
-        const { lower, r, Cprev } = BRACKETS[BRACKETS.length - 1];
-        return (netIncome + Cprev - r * lower) / (1 - r);
-    }
-
-    // Convert gross income to net income using Australian tax brackets
-    _calculateNetIncome(grossIncome) {
-        if (!Number.isFinite(grossIncome)) throw new TypeError("grossIncome must be a finite number");
-        if (grossIncome < 0) return 0;
-        const BRACKETS = [
-            { lower: 0,      upper: 18_200,  r: 0.00 },
-            { lower: 18_200, upper: 45_000,  r: 0.16 },
-            { lower: 45_000, upper: 135_000, r: 0.30 },
-            { lower: 135_000,upper: 190_000, r: 0.37 },
-            { lower: 190_000,upper: Infinity,r: 0.45 }
-        ];
-        let tax = 0;
-        for (let i = 0; i < BRACKETS.length; i++) {
-            const { lower, upper, r } = BRACKETS[i];
-            if (grossIncome > lower) {
-                const taxable = Math.min(grossIncome, upper) - lower;
-                tax += taxable * r;
-            }
+    // Builds the postcode layer on first render, then only recolours it so layers and their popups persist
+    _renderMap() {
+        if (!this.geojsonData) return;
+        if (this.geojsonLayer) {
+            this.geojsonLayer.setStyle((feature) => this._styleFeature(feature));
+            this._raisePinnedLayers();
+        } else {
+            this.layersByPostcode = {};
+            this.geojsonLayer = L.geoJson(this.geojsonData, {
+                style: (feature) => this._styleFeature(feature),
+                smoothFactor: BOUNDARY_SMOOTH_FACTOR,
+                onEachFeature: (feature, layer) => this._onEachFeature(feature, layer)
+            }).addTo(this.map);
         }
-        return grossIncome - tax;
+        this._renderLowConfidenceHatching();
     }
 
-    _getUserSettings() {
-        const householdNetIncome = parseFloat(document.getElementById('annualIncome').value) || 0;
-        const householdGrossIncome = this._convertNetToGross(householdNetIncome);
-        const weeklyNetIncome = householdNetIncome / 52;
-        const weeklyGrossIncome = householdGrossIncome / 52;
+    // Hatches postcodes whose figures for the household's housing type may be unreliable, over their colours
+    _renderLowConfidenceHatching() {
+        if (this.lowConfidenceLayer) this.lowConfidenceLayer.remove();
+        if (!this.map.getPane(LOW_CONFIDENCE_PANE)) {
+            const pane = this.map.createPane(LOW_CONFIDENCE_PANE);
+            pane.style.zIndex = LOW_CONFIDENCE_PANE_Z_INDEX;
+            pane.style.pointerEvents = 'none';
+        }
+        const features = this.geojsonData.features.filter(feature => {
+            const data = this.housingData[String(feature.properties.POA_CODE21)];
+            return data && data.low_confidence && !data.below_min_sample && !data.outside_commute;
+        });
+        this.lowConfidenceLayer = L.geoJson({ type: 'FeatureCollection', features }, {
+            style: { stroke: false, fillColor: `url(#${LOW_CONFIDENCE_PATTERN_ID})`, fillOpacity: 1 },
+            smoothFactor: BOUNDARY_SMOOTH_FACTOR,
+            pane: LOW_CONFIDENCE_PANE,
+            interactive: false
+        }).addTo(this.map);
 
-        const utilities = parseFloat(document.getElementById('utilities').value) || 0;
-        const food = parseFloat(document.getElementById('food').value) || 0;
-        const transport = parseFloat(document.getElementById('transport').value) || 0;
-        const other = parseFloat(document.getElementById('other').value) || 0;
-
-        const weeklyLivingCosts = utilities + food + transport + other;
-
-            const strata = parseFloat(document.getElementById('strata').value) || 0;
-            const council = parseFloat(document.getElementById('council').value) || 0;
-            const water = parseFloat(document.getElementById('water').value) || 0;
-            const maintenance = parseFloat(document.getElementById('maintenance').value) || 0;
-        const weeklyOwnerCosts = strata + council + water + maintenance;
-
-        return {
-            grossIncome: householdGrossIncome,
-            netIncome: householdNetIncome,
-            weeklyNetIncome,
-            weeklyGrossIncome,
-            weeklyLivingCosts,
-            weeklyOwnerCosts
-        };
+        // The pattern lives in the SVG Leaflet draws the pane into
+        const svg = this.map.getPane(LOW_CONFIDENCE_PANE).querySelector('svg');
+        if (!svg || svg.getElementById(LOW_CONFIDENCE_PATTERN_ID)) return;
+        const pattern = d3.select(svg).insert('defs', ':first-child')
+            .append('pattern')
+            .attr('id', LOW_CONFIDENCE_PATTERN_ID)
+            .attr('patternUnits', 'userSpaceOnUse')
+            .attr('width', 6)
+            .attr('height', 6)
+            .attr('patternTransform', 'rotate(45)');
+        pattern.append('line')
+            .attr('x1', 0)
+            .attr('y1', 0)
+            .attr('x2', 0)
+            .attr('y2', 6)
+            .attr('stroke', '#374151')
+            .attr('stroke-width', 1.5)
+            .attr('stroke-opacity', 0.7);
     }
 
-    _updateAllAffordability() {
-        const userSettings = this._getUserSettings();
-        const { weeklyGrossIncome } = userSettings;
-        const pricePoint = document.getElementById('pricePoint').value;
-
-        for (const postcode in this.housingData) {
-            const data = this.housingData[postcode];
-            
-            let salesPrice, rent;
-            if (pricePoint === 'q1') {
-                salesPrice = (data.yearly_first_quartile_sales_000s || 0) * 1000;
-                rent = data.yearly_first_quartile_weekly_rent;
-            } else if (pricePoint === 'q3') {
-                salesPrice = (data.yearly_third_quartile_sales_000s || 0) * 1000;
-                rent = data.yearly_third_quartile_weekly_rent;
-            } else { // median
-                salesPrice = (data.yearly_median_sales_price_000s || 0) * 1000;
-                rent = data.yearly_median_weekly_rent;
-            }
-
-            let weeklyHousingCost = 0;
-            let affordabilityPercentage = 0;
+    // Recalculates once typing pauses, rather than on every keystroke
+    _scheduleUpdate() {
+        clearTimeout(this.pendingUpdate);
+        this.pendingUpdate = setTimeout(() => this.updateMapAndTable(), INPUT_DEBOUNCE_MS);
+    }
 
-            if (this.housingType === 'rent' && rent && rent > 0) {
-                weeklyHousingCost = rent;
-                affordabilityPercentage = (weeklyHousingCost / weeklyGrossIncome) * 100;
-            } else if (this.housingType === 'buy' && salesPrice && salesPrice > 0) {
-                const depositPercent = parseFloat(document.getElementById('depositPercent').value) || 20;
-                const depositAmount = parseFloat(document.getElementById('depositAmount').value) || 0;
-                const interestRate = parseFloat(document.getElementById('interestRate').value) || 6.5;
-                const loanTermYears = parseFloat(document.getElementById('loanTerm').value) || 30;
+    updateMapAndTable() {
+        clearTimeout(this.pendingUpdate);
+        this.pendingUpdate = null;
+        this._updateAllAffordability();
+        this._updateComparison();
+        this._updateRegionSummary();
+        this._updateWorkplaceLayers();
+        this._updateColourScale();
+        this._updateLegend();
 
-                const actualDeposit = this.depositType === 'percent'
-                    ? salesPrice * (depositPercent / 100)
-                    : depositAmount;
+            this._renderMap();
+        this._updateTable();
+        this._updateStressTest();
+        this._updatePinDrawer();
 
-                const loanAmount = Math.max(0, salesPrice - actualDeposit);
-                const mortgage = this._calculateMortgage(loanAmount, interestRate, loanTermYears, this.mortgageType);
+        if (this.openPostcode) {
+            this._refreshOpenPopup();
+        }
 
-                const weeklyMortgagePayment = mortgage.payment * 12 / 52;
-                weeklyHousingCost = weeklyMortgagePayment + userSettings.weeklyOwnerCosts;
-                affordabilityPercentage = (weeklyHousingCost / weeklyGrossIncome) * 100;
+        this._writeUrlState();
+    }
 
-                data.calculated_weekly_payment = weeklyMortgagePayment;
-                data.calculated_weekly_interest = mortgage.interest * 12 / 52;
+    // Applies a scenario (shared URL parameters or a saved scenario) on top of the current inputs
+    _applyScenarioState(state) {
+        SCENARIO_INPUT_FIELDS.forEach(id => {
+            const value = state[id];
+            const element = document.getElementById(id);
+            if (value == null || !element) return;
+
+            if (element.type === 'checkbox') {
+                element.checked = value === '1' || value === true;
+            } else if (element.tagName === 'SELECT') {
+                if ([...element.options].some(option => option.value === value)) {
+                    element.value = value;
+                }
+            } else if (String(value).trim() !== '' && Number.isFinite(Number(value))) {
+                element.value = value;
             }
+        });
 
-            data.weekly_housing_cost = weeklyHousingCost;
-            data.affordability_percentage = affordabilityPercentage;
-            data.is_affordable = affordabilityPercentage <= 30;
-            const weeklyAfterExpenses = userSettings.weeklyNetIncome - userSettings.weeklyLivingCosts;
-            data.weekly_money_leftover = (weeklyHousingCost > 0)
-                ? (weeklyAfterExpenses - weeklyHousingCost)
-                : null;
+        SCENARIO_RADIO_FIELDS.forEach(name => {
+            const value = state[name];
+            const radio = value != null && [...document.querySelectorAll(`input[name="${name}"]`)].find(input => input.value === value);
+            if (radio) {
+                radio.checked = true;
+            }
+        });
 
-            this._calculateQuartilePayments(data, userSettings);
+        const earners = getEarnersFromState(state);
+        if (earners.length > 0) {
+            this._renderEarnerInputs(earners);
         }
-    }
 
-    _calculateQuartilePayments(data, userSettings) {
-        data.yearly_first_quartile_weekly_rent_payment = data.yearly_first_quartile_weekly_rent;
-        data.yearly_third_quartile_weekly_rent_payment = data.yearly_third_quartile_weekly_rent;
-        
-        const q1Sales = (data.yearly_first_quartile_sales_000s || 0) * 1000;
-        const q3Sales = (data.yearly_third_quartile_sales_000s || 0) * 1000;
-
-        if (q1Sales > 0) {
-            const depositPercent = parseFloat(document.getElementById('depositPercent').value) || 20;
-            const depositAmount = parseFloat(document.getElementById('depositAmount').value) || 0;
-            const interestRate = parseFloat(document.getElementById('interestRate').value) || 6.5;
-            const loanTermYears = parseFloat(document.getElementById('loanTerm').value) || 30;
-
-            const actualDeposit = this.depositType === 'percent'
-                ? q1Sales * (depositPercent / 100)
-                : depositAmount;
-
-            const q1Loan = Math.max(0, q1Sales - actualDeposit);
-            const q1Mortgage = this._calculateMortgage(q1Loan, interestRate, loanTermYears, this.mortgageType);
-            data.yearly_first_quartile_weekly_payment = q1Mortgage.payment * 12 / 52 + userSettings.weeklyOwnerCosts;
+        // Scenarios saved before editable colour scales use the map mode's default scale
+        if (state.colourThresholds != null) {
+            document.getElementById('colourThresholds').value = state.colourThresholds;
         } else {
-            data.yearly_first_quartile_weekly_payment = null;
+            this._resetColourScale();
         }
 
-        if (q3Sales > 0) {
-            const depositPercent = parseFloat(document.getElementById('depositPercent').value) || 20;
-            const depositAmount = parseFloat(document.getElementById('depositAmount').value) || 0;
-            const interestRate = parseFloat(document.getElementById('interestRate').value) || 6.5;
-            const loanTermYears = parseFloat(document.getElementById('loanTerm').value) || 30;
+        // Scenarios saved before the commute filter have no workplace entry and keep the current one
+        if (state.workplace != null) {
+            this.workplace = parseWorkplace(state.workplace);
+            this.workplaceLabel = null;
+        }
 
-            const actualDeposit = this.depositType === 'percent'
-                ? q3Sales * (depositPercent / 100)
-                : depositAmount;
+        // Sync the class state and visible sections with the restored inputs, then recalculate once
+        this.housingType = document.querySelector('input[name="housingType"]:checked').value;
+        this.depositType = document.querySelector('input[name="depositType"]:checked').value;
+        this.mortgageType = document.getElementById('mortgageType').value;
+        this._updateSectionVisibility();
+        this._updateDepositInputs();
+        this._toggleLoanTermVisibility();
+        this._updateNetIncome();
+    }
 
-            const q3Loan = Math.max(0, q3Sales - actualDeposit);
-            const q3Mortgage = this._calculateMortgage(q3Loan, interestRate, loanTermYears, this.mortgageType);
-            data.yearly_third_quartile_weekly_payment = q3Mortgage.payment * 12 / 52 + userSettings.weeklyOwnerCosts;
-        } else {
-            data.yearly_third_quartile_weekly_payment = null;
-        }
+    _parseUrlView(view) {
+        if (!view) return null;
+        const [lat, lng, zoom] = view.split(',').map(Number);
+        if (![lat, lng, zoom].every(Number.isFinite)) return null;
+        return { center: [lat, lng], zoom };
     }
 
-    _renderMap() {
-        if (this.geojsonLayer) {
-            this.map.removeLayer(this.geojsonLayer);
+    _restoreOpenPostcode() {
+        const postcode = this.initialUrlState.get('postcode');
+        const layer = postcode && this.layersByPostcode[postcode];
+        if (layer) {
+            // Keep the shared map view rather than zooming to the postcode
+            this._showPopup({ latlng: layer.getBounds().getCenter() }, layer.feature, layer);
         }
-        this.geojsonLayer = L.geoJson(this.geojsonData, {
-            style: (feature) => this._styleFeature(feature),
-            onEachFeature: (feature, layer) => this._onEachFeature(feature, layer)
-        }).addTo(this.map);
     }
 
-    updateMapAndTable() {
-        this._updateAllAffordability();
-
-            this._renderMap();
+    _writeUrlState() {
+        if (!this.map) return;
 
+        const params = new URLSearchParams(this._getScenarioState());
         if (this.openPostcode) {
-            this._refreshOpenPopup();
+            params.set('postcode', this.openPostcode);
+        }
+        if (this.pinnedPostcodes.length > 0) {
+            params.set('pinned', this.pinnedPostcodes.join(','));
         }
+        if (this.hasRegions) {
+            params.set('regionLevel', document.getElementById('regionLevel').value);
+            if (this._isRegionLayerShown()) params.set('regionMap', '1');
+        }
+        if (this.periods.length > 1) {
+            params.set('period', this.selectedPeriod);
+        }
+        const center = this.map.getCenter();
+        params.set('view', `${center.lat.toFixed(4)},${center.lng.toFixed(4)},${this.map.getZoom()}`);
+
+        window.history.replaceState(null, '', `${window.location.pathname}?${params.toString()}`);
+    }
+
+    _getAffordabilityBand(percentage, weeklyMoneyLeftover) {
+        if (weeklyMoneyLeftover != null && weeklyMoneyLeftover < 0) return NEGATIVE_LEFTOVER_BAND;
+        if (percentage === null || percentage === undefined || isNaN(percentage) || percentage === 0) return NO_DATA_BAND;
+        return AFFORDABILITY_BANDS.find(band => percentage <= band.max);
     }
 
     _getColor(percentage, weeklyMoneyLeftover) {
-        if (weeklyMoneyLeftover != null && weeklyMoneyLeftover < 0) return '#000000';
-        if (percentage === null || isNaN(percentage) || percentage === 0) return '#ccc';
-        if (percentage <= 20) return '#16a34a'; // Dark green - well below 30% rule (very affordable)
-        if (percentage <= 30) return '#22c55e'; // Green - at or below 30% rule (affordable)
-        if (percentage <= 40) return '#fbbf24'; // Yellow - moderate housing stress
-        if (percentage <= 50) return '#f97316'; // Orange - high housing stress
-        return '#ef4444'; // Red - severe housing stress (unaffordable)
+        return this._getAffordabilityBand(percentage, weeklyMoneyLeftover).color;
     }
 
     _styleFeature(feature) {
         const postcode = String(feature.properties.POA_CODE21);
         const data = this.housingData[postcode];
-        const percentage = data ? data.affordability_percentage : null;
-        const leftover = data ? data.weekly_money_leftover : null;
-        return {
+        const style = {
             ...this.defaultStyle,
-            fillColor: this._getColor(percentage, leftover)
+            fillColor: this.comparison
+                ? this._getComparisonBand(postcode).color
+                : this._isRegionLayerShown() ? this._getRegionBand(postcode).color : this._getModeBand(data).color
         };
+        if (data && data.below_min_sample) {
+            style.fillOpacity = 0;
+        } else if (data && data.outside_commute) {
+            style.fillOpacity = OUTSIDE_COMMUTE_FILL_OPACITY;
+        }
+        if (this.pinnedPostcodes.includes(postcode)) {
+            Object.assign(style, PINNED_STYLE);
+        }
+        return style;
+    }
+
+    // Band for a postcode's data under the selected map colouring
+    _getModeBand(data) {
+        switch (this._getMapMode()) {
+            case 'serviceability':
+                return this._applyPalette(this._getServiceabilityBand(data), SERVICEABILITY_BANDS);
+            case 'cashNeeded':
+                return this._applyPalette(this._getCashNeededBand(data), CASH_NEEDED_BANDS);
+            case 'yearsToSave':
+                return this._applyPalette(this._getYearsToSaveBand(data), YEARS_TO_SAVE_BANDS);
+            default:
+                return this._getMetricBand(data);
+        }
+    }
+
+    // Band for a postcode under the colour scale of the selected measure
+    _getMetricBand(data) {
+        const { metric, type, thresholds, bands, ramp, palette } = this.colourScale;
+        if (!data) return NO_DATA_BAND;
+        if (metric.flagsNegativeLeftover && data.weekly_money_leftover != null && data.weekly_money_leftover < 0) return NEGATIVE_LEFTOVER_BAND;
+
+        const value = metric.value(data);
+        if (value == null || Number.isNaN(value)) return NO_DATA_BAND;
+        if (type === 'continuous') {
+            const position = ramp(value);
+            return { key: 'continuous', color: palette(metric.better === 'low' ? position : 1 - position), label: metric.format(value) };
+        }
+        return bands[d3.bisectLeft(thresholds, value)];
+    }
+
+    // Recolours a fixed band from the chosen palette by its position in its list
+    _applyPalette(band, bands) {
+        const paletteKey = document.getElementById('colourPalette').value;
+        const index = bands.indexOf(band);
+        if (paletteKey === 'standard' || index === -1) return band;
+        return { ...band, color: COLOUR_PALETTES[paletteKey](index / (bands.length - 1)) };
+    }
+
+    // Puts the selected measure's default scale type and thresholds back in the inputs
+    _resetColourScale() {
+        const metric = MAP_METRICS[this._getMapMode()];
+        if (!metric) return;
+        document.getElementById('colourScale').value = metric.scale;
+        document.getElementById('colourThresholds').value = metric.thresholds.join(', ');
+    }
+
+    // Builds the colour scale from the inputs; quantile thresholds come from the current results
+    _updateColourScale() {
+        const metric = MAP_METRICS[this._getMapMode()];
+        const palette = COLOUR_PALETTES[document.getElementById('colourPalette').value] || COLOUR_PALETTES.standard;
+        document.getElementById('colourScaleGroup').classList.toggle('hidden', !metric);
+        document.getElementById('colourThresholdsGroup').classList.toggle('hidden', !metric);
+        if (!metric) {
+            this.colourScale = { palette };
+            return;
+        }
+
+        const type = document.getElementById('colourScale').value;
+        const input = document.getElementById('colourThresholds');
+        const help = document.getElementById('colourThresholdsHelp');
+        const roundToStep = value => Number((Math.round(value / metric.step) * metric.step).toFixed(4));
+        let thresholds;
+
+        if (type === 'quantile') {
+            // Postcodes outside the commute limit or below the minimum sample size are faded or hidden, so they don't shift the bands
+            const values = Object.values(this.housingData)
+                .filter(data => !data.outside_commute && !data.below_min_sample)
+                .map(data => metric.value(data))
+                .filter(value => value != null && Number.isFinite(value))
+                .sort(d3.ascending);
+            const bandCount = metric.thresholds.length + 1;
+            thresholds = [...new Set(metric.thresholds.map((_, index) => d3.quantile(values, (index + 1) / bandCount)).filter(value => value != null).map(roundToStep))];
+            input.value = thresholds.join(', ');
+            help.textContent = 'Worked out so each colour covers about the same number of postcodes.';
+        } else {
+            thresholds = [...new Set(input.value.split(/[\s,]+/).filter(Boolean).map(Number).filter(Number.isFinite))].sort(d3.ascending);
+            help.textContent = type === 'continuous'
+                ? 'Colours blend through these values, spaced evenly along the scale. Separate values with commas.'
+                : 'The upper limit of each colour band. Separate values with commas.';
+        }
+        // Too few usable values, e.g. while typing, falls back to the defaults
+        if (thresholds.length < (type === 'continuous' ? 2 : 1)) {
+            thresholds = metric.thresholds;
+        }
+        input.disabled = type === 'quantile';
+
+        let bands = null;
+        if (type !== 'continuous') {
+            const lastIndex = thresholds.length;
+            const useDefaultLabels = metric.bandLabels && type === 'threshold' && thresholds.join() === metric.thresholds.join();
+            bands = [...thresholds, Infinity].map((limit, index) => ({
+                key: `band-${index}`,
+                color: palette(metric.better === 'low' ? index / lastIndex : 1 - index / lastIndex),
+                label: useDefaultLabels ? metric.bandLabels[index]
+                    : index === 0 ? `≤ ${metric.format(limit)}`
+                    : index === lastIndex ? `> ${metric.format(thresholds[lastIndex - 1])}${metric.overflowLabel ? ` ${metric.overflowLabel}` : ''}`
+                    : `${metric.format(thresholds[index - 1])} to ${metric.format(limit)}`
+            }));
+        }
+        // Continuous colours spread the thresholds evenly from one end of the palette to the other
+        const ramp = d3.scaleLinear()
+            .domain(thresholds)
+            .range(thresholds.map((_, index) => index / Math.max(1, thresholds.length - 1)))
+            .clamp(true);
+        this.colourScale = { metric, type, thresholds, bands, ramp, palette };
+    }
+
+    _getYearsToSaveBand(data) {
+        if (!data || !data.has_savings_plan) return NO_DATA_BAND;
+        // null means the target is never reached
+        if (data.years_to_save === null) return YEARS_TO_SAVE_BANDS[YEARS_TO_SAVE_BANDS.length - 1];
+        return YEARS_TO_SAVE_BANDS.find(band => data.years_to_save <= band.maxYears);
+    }
+
+    _getCashNeededBand(data) {
+        if (!data || data.upfront_savings_gap == null) return NO_DATA_BAND;
+        return CASH_NEEDED_BANDS.find(band => data.upfront_savings_gap >= band.minGap);
+    }
+
+    _getMapMode() {
+        return document.getElementById('mapMode').value;
+    }
+
+    _getServiceabilityBand(data) {
+        if (!data || data.serviceability_headroom == null) return NO_DATA_BAND;
+        const headroom = data.serviceability_headroom;
+        if (headroom >= 0) {
+            const share = data.max_loan > 0 ? headroom / data.max_loan : 0;
+            return SERVICEABILITY_BANDS.find(band => band.minHeadroomShare !== undefined && share >= band.minHeadroomShare);
+        }
+        return SERVICEABILITY_BANDS.find(band => band.minShortfall !== undefined && headroom >= band.minShortfall);
+    }
+
+    // Position of a band from most to least affordable, or null when there is no data to rank
+    _getBandRank(band) {
+        if (band === NEGATIVE_LEFTOVER_BAND) return AFFORDABILITY_BANDS.length;
+        const rank = AFFORDABILITY_BANDS.indexOf(band);
+        return rank === -1 ? null : rank;
+    }
+
+    _getComparisonBand(postcode) {
+        const result = this.comparison.results[postcode];
+        if (!result) return NO_DATA_BAND;
+
+        const rankA = this._getBandRank(this._getAffordabilityBand(result.a.affordability_percentage, result.a.weekly_money_leftover));
+        const rankB = this._getBandRank(this._getAffordabilityBand(result.b.affordability_percentage, result.b.weekly_money_leftover));
+        if (rankA === null || rankB === null) return NO_DATA_BAND;
+
+        const change = rankB - rankA;
+        return COMPARISON_BANDS.find(band => change <= band.maxChange);
     }
 
     _onEachFeature(feature, layer) {
+        this.layersByPostcode[String(feature.properties.POA_CODE21)] = layer;
         layer.on({
             mouseover: () => this._highlightFeature(layer),
             mouseout: () => this.geojsonLayer.resetStyle(layer),
-            click: (event) => this._showPopup(event, feature, layer)
+            click: (event) => {
+                // While placing the workplace pin the map click handler takes the click instead
+                if (!this.isPlacingWorkplace) this._showPopup(event, feature, layer);
+            }
+        });
+    }
+
+    // Keeps pinned outlines above their neighbours' borders
+    _raisePinnedLayers() {
+        this.pinnedPostcodes.forEach(postcode => {
+            const layer = this.layersByPostcode[postcode];
+            if (layer) layer.bringToFront();
         });
     }
 
@@ -580,6 +1112,7 @@ class HousingAffordabilityMap {
         if (!isRefresh) {
             this.openPostcode = postcode;
             this.activePopupLayer = layer;
+            this._writeUrlState();
         }
 
         const popupContent = this._createPopupContent(postcode, data);
@@ -639,31 +1172,76 @@ class HousingAffordabilityMap {
         setContent('#popup-suburbs', displaySuburbs);
         template.querySelector('#popup-suburbs').setAttribute('title', suburbs);
         setContent('#popup-postcode', `Postcode: ${postcode}`);
+        const pinButton = template.querySelector('#popup-pin');
+        pinButton.dataset.postcode = postcode;
+        if (this.pinnedPostcodes.includes(postcode)) {
+            pinButton.textContent = 'Unpin';
+        } else if (this.pinnedPostcodes.length >= MAX_PINNED_POSTCODES) {
+            pinButton.textContent = `${MAX_PINNED_POSTCODES} Already Pinned`;
+            pinButton.disabled = true;
+        }
 
         const formatCurrency = (val) => (val != null) ? formatter.format(val) : 'N/A';
         const formatWeeklyCurrency = (val) => (val != null) ? formatter.format(Math.round(val)) : 'N/A';
 
-        // Income breakdown
-        const userSettings = this._getUserSettings();
+        // Income breakdown, with this postcode's commute cost in living costs when included
+        const settings = this._getUserSettings();
+        const commute = getCommute(this.centroids[postcode], settings);
+        const userSettings = getPostcodeSettings(settings, commute);
         const weeklyNetIncome = userSettings.weeklyNetIncome;
         const weeklyGrossIncome = userSettings.weeklyGrossIncome;
         const weeklyAfterExpenses = weeklyNetIncome - userSettings.weeklyLivingCosts;
 
+        // Why this postcode's figures may be unreliable
+        const issues = data.data_issues || [];
+        if (issues.length > 0) {
+            const list = template.querySelector('#data-quality-issues');
+            issues.forEach(issue => {
+                const item = document.createElement('li');
+                item.textContent = DATA_ISSUE_TEXT[issue.kind](DATA_FIGURES[issue.figure]);
+                if (issue.kind === 'inverted' || issue.kind === 'outlier') {
+                    item.textContent += ` ${this._describeQuartiles(data, issue.figure)}`;
+                }
+                list.appendChild(item);
+            });
+            template.querySelector('#popup-data-quality').classList.remove('hidden');
+        }
+
+        // Saved scenario comparison, side by side
+        const comparisonResult = this.comparison && this.comparison.results[postcode];
+        if (comparisonResult) {
+            template.querySelector('#popup-comparison').classList.remove('hidden');
+            setContent('#comparison-name-a', this.comparison.a.name);
+            setContent('#comparison-name-b', this.comparison.b.name);
+            ['a', 'b'].forEach(key => {
+                const result = comparisonResult[key];
+                setContent(`#comparison-cost-${key}`, result.weekly_housing_cost > 0 ? formatWeeklyCurrency(result.weekly_housing_cost) : 'N/A');
+                setContent(`#comparison-percentage-${key}`, result.affordability_percentage > 0 ? `${result.affordability_percentage.toFixed(1)}%` : 'N/A');
+                setContent(`#comparison-leftover-${key}`, formatWeeklyCurrency(result.weekly_money_leftover));
+            });
+            setContent('#comparison-band-change', this._getComparisonBand(postcode).label);
+        }
+
         // Populate income breakdown
+        if (userSettings.earners.length > 1) {
+            const earnersContainer = template.querySelector('#popup-earners');
+            userSettings.earners.forEach(earner => {
+                const line = document.createElement('div');
+                line.className = 'flex justify-between items-center';
+                line.innerHTML = '<span></span><span></span>';
+                line.children[0].textContent = `${earner.label}:`;
+                line.children[1].textContent = `${formatWeeklyCurrency(earner.grossIncome / 52)} before tax / ${formatWeeklyCurrency(earner.netIncome / 52)} after`;
+                earnersContainer.appendChild(line);
+            });
+            earnersContainer.classList.remove('hidden');
+        }
         setContent('#net-income-weekly', formatWeeklyCurrency(weeklyNetIncome));
         setContent('#gross-income-weekly', formatWeeklyCurrency(weeklyGrossIncome));
         setContent('#after-expenses-weekly', formatCurrency(weeklyAfterExpenses));
 
         // Rent option - get the appropriate price point
-        const pricePoint = document.getElementById('pricePoint').value;
-        let rentCost;
-        if (pricePoint === 'q1') {
-            rentCost = data.yearly_first_quartile_weekly_rent;
-        } else if (pricePoint === 'q3') {
-            rentCost = data.yearly_third_quartile_weekly_rent;
-        } else { // median
-            rentCost = data.yearly_median_weekly_rent;
-        }
+        const pricePoint = userSettings.pricePoint;
+        const { salesPrice, rent: rentCost } = getPricesForPoint(data, pricePoint);
         
         if (rentCost != null && rentCost > 0) {
         const moneyAfterRent = weeklyAfterExpenses - rentCost;
@@ -694,30 +1272,9 @@ class HousingAffordabilityMap {
         let mortgageCost = 0;
         const ownerCosts = userSettings.weeklyOwnerCosts;
         
-        // Get sales price for the selected price point
-        let salesPrice;
-        if (pricePoint === 'q1') {
-            salesPrice = (data.yearly_first_quartile_sales_000s || 0) * 1000;
-        } else if (pricePoint === 'q3') {
-            salesPrice = (data.yearly_third_quartile_sales_000s || 0) * 1000;
-        } else { // median
-            salesPrice = (data.yearly_median_sales_price_000s || 0) * 1000;
-        }
-        
         // Always calculate mortgage if we have sales data (for popup display)
         if (salesPrice && salesPrice > 0) {
-            const depositPercent = parseFloat(document.getElementById('depositPercent').value) || 20;
-            const depositAmount = parseFloat(document.getElementById('depositAmount').value) || 0;
-            const interestRate = parseFloat(document.getElementById('interestRate').value) || 6.5;
-            const loanTermYears = parseFloat(document.getElementById('loanTerm').value) || 30;
-
-            const actualDeposit = this.depositType === 'percent'
-                ? salesPrice * (depositPercent / 100)
-                : depositAmount;
-
-            const loanAmount = Math.max(0, salesPrice - actualDeposit);
-            const mortgage = this._calculateMortgage(loanAmount, interestRate, loanTermYears, this.mortgageType);
-            mortgageCost = mortgage.payment * 12 / 52;
+            mortgageCost = calculateWeeklyMortgage(salesPrice, userSettings).payment;
         }
         
         const hasMortgageData = mortgageCost > 0;
@@ -754,6 +1311,121 @@ class HousingAffordabilityMap {
             setContent('#money-after-buy', 'N/A');
         }
 
+        // Interest rates at which buying here tips past the 30% rule or into negative leftover
+        const formatTippingRate = (rate) => {
+            if (rate === 0) return 'Any rate';
+            return rate === null ? `Above ${MAX_STRESS_RATE}%` : `${rate.toFixed(2)}%`;
+        };
+        setContent('#stress-rate', data.has_rate_tipping ? formatTippingRate(data.stress_rate) : 'N/A');
+        setContent('#negative-leftover-rate', data.has_rate_tipping ? formatTippingRate(data.negative_leftover_rate) : 'N/A');
+
+        // Lender serviceability at this price point
+        const serviceability = calculateServiceability(userSettings);
+        const { loan_required: loanRequired, serviceability_headroom: headroom } = calculatePostcodeServiceability(data, userSettings, serviceability);
+        setContent('#max-loan', formatCurrency(serviceability.maxLoan));
+        setContent('#max-loan-limit', `Limited by ${serviceability.limitedBy}, assessed at ${serviceability.assessmentRate.toFixed(2)}%`);
+        setContent('#loan-required', formatCurrency(loanRequired));
+        if (headroom != null) {
+            setContent('#serviceability-headroom-label', headroom >= 0 ? 'Headroom:' : 'Shortfall:');
+            setContent('#serviceability-headroom', formatCurrency(Math.abs(headroom)));
+            template.querySelector('#serviceability-headroom').classList.add(headroom >= 0 ? 'text-green-700' : 'text-red-700');
+        } else {
+            setContent('#serviceability-headroom', 'N/A');
+        }
+
+        // Upfront cash needed to buy at this price point
+        if (salesPrice > 0) {
+            const upfront = calculateUpfrontCosts(salesPrice, userSettings);
+            setContent('#upfront-deposit', formatCurrency(upfront.deposit));
+            let dutyText = formatCurrency(upfront.transferDuty);
+            if (userSettings.isFirstHomeBuyer && upfront.transferDuty < upfront.fullTransferDuty) {
+                dutyText += upfront.transferDuty === 0 ? ' (FHB exempt)' : ' (FHB concession)';
+            }
+            setContent('#upfront-duty', dutyText);
+            setContent('#upfront-lmi', upfront.lmi > 0 && userSettings.capitaliseLmi
+                ? `${formatCurrency(upfront.lmi)} (added to loan)`
+                : formatCurrency(upfront.lmi));
+            setContent('#upfront-fees', formatCurrency(upfront.conveyancingCosts));
+            setContent('#upfront-total', formatCurrency(upfront.totalCash));
+            setContent('#upfront-savings-label', upfront.savingsGap >= 0 ? 'Savings Left Over:' : 'Savings Shortfall:');
+            setContent('#upfront-savings-gap', formatCurrency(Math.abs(upfront.savingsGap)));
+            template.querySelector('#upfront-savings-gap').classList.add(upfront.savingsGap >= 0 ? 'text-green-700' : 'text-red-700');
+        } else {
+            ['#upfront-deposit', '#upfront-duty', '#upfront-lmi', '#upfront-fees', '#upfront-total', '#upfront-savings-gap']
+                .forEach(selector => setContent(selector, 'N/A'));
+        }
+
+        // Commute to the workplace
+        if (commute) {
+            template.querySelector('#popup-commute').classList.remove('hidden');
+            setContent('#commute-distance', `${commute.distance.toFixed(1)} km`);
+            setContent('#commute-cost', userSettings.includeCommuteCost ? formatWeeklyCurrency(commute.weeklyCost) : 'Not included');
+            if (commute.isOutside) {
+                template.querySelector('#commute-outside').classList.remove('hidden');
+                setContent('#commute-outside', `Beyond your ${userSettings.maxCommuteDistance} km limit`);
+            }
+        }
+
+        // Saving for this postcode while renting here
+        const savingsPlan = calculateSavingsPlan(data, userSettings);
+        if (savingsPlan) {
+            const formatYears = (years) => years === null
+                ? `Not within ${MAX_YEARS_TO_SAVE} years`
+                : years === 0 ? 'Ready now' : `${years.toFixed(1)} years`;
+            setContent('#savings-target', formatCurrency(savingsPlan.target));
+            setContent('#savings-weekly', formatWeeklyCurrency(savingsPlan.weeklySavings));
+            setContent('#years-to-save', formatYears(savingsPlan.years));
+
+            // Trajectory at a few milestones, stopping once the target is reached
+            const trajectory = template.querySelector('#savings-trajectory');
+            const horizon = savingsPlan.years === null ? 20 : Math.ceil(savingsPlan.years);
+            [1, 2, 3, 5, 10, 15, 20].filter(year => year <= Math.max(1, horizon)).forEach(year => {
+                const balance = savingsPlan.balanceAfter(year);
+                const row = document.createElement('div');
+                row.className = 'flex justify-between items-center';
+                row.innerHTML = '<span></span><span></span>';
+                row.children[0].textContent = `After ${year} year${year === 1 ? '' : 's'}:`;
+                row.children[1].textContent = `${formatCurrency(Math.max(0, balance))} (${Math.max(0, Math.min(100, balance / savingsPlan.target * 100)).toFixed(0)}%)`;
+                trajectory.appendChild(row);
+            });
+        } else {
+            ['#savings-target', '#savings-weekly', '#years-to-save'].forEach(selector => setContent(selector, 'N/A'));
+        }
+
+        // Renting versus buying here, with cumulative costs of each over the loan term
+        const rentVsBuy = calculateRentVsBuy(data, userSettings);
+        if (rentVsBuy) {
+            setContent('#rent-vs-buy-rent', formatWeeklyCurrency(rentVsBuy.weeklyRent));
+            setContent('#rent-vs-buy-buy', formatWeeklyCurrency(rentVsBuy.weeklyBuyingCost));
+            setContent('#rent-vs-buy-gap-label', rentVsBuy.weeklyGap >= 0 ? 'Buying Costs More by:' : 'Buying Costs Less by:');
+            setContent('#rent-vs-buy-gap', formatWeeklyCurrency(Math.abs(rentVsBuy.weeklyGap)));
+            setContent('#rent-vs-buy-break-even', rentVsBuy.breakEvenYear === null
+                ? `Not within ${userSettings.loanTermYears} years`
+                : `After ${rentVsBuy.breakEvenYear} year${rentVsBuy.breakEvenYear === 1 ? '' : 's'}`);
+            const chart = template.querySelector('#rent-vs-buy-chart');
+            this._renderRentVsBuyChart(chart, rentVsBuy);
+            chart.classList.remove('hidden');
+        } else {
+            ['#rent-vs-buy-rent', '#rent-vs-buy-buy', '#rent-vs-buy-gap', '#rent-vs-buy-break-even'].forEach(selector => setContent(selector, 'N/A'));
+        }
+
+        // Income the household would need here, for the 30% rule and to break even
+        if (data.break_even_gross_income != null) {
+            setContent('#income-required-title', `Income Needed to ${userSettings.housingType === 'buy' ? 'Buy' : 'Rent'} Here`);
+            setContent('#income-required-gross', formatCurrency(data.income_required));
+            setContent('#income-required-net', formatCurrency(data.income_required_net));
+            setContent('#break-even-gross', formatCurrency(data.break_even_gross_income));
+            setContent('#break-even-net', formatCurrency(data.break_even_net_income));
+            [['#income-required-gap', data.income_required_gap], ['#break-even-gap', data.break_even_income_gap]].forEach(([selector, gap]) => {
+                setContent(`${selector}-label`, gap > 0 ? 'Your Income Is Short by:' : 'Your Income Is Above It by:');
+                setContent(selector, formatCurrency(Math.abs(gap)));
+                template.querySelector(selector).classList.add(gap > 0 ? 'text-red-700' : 'text-green-700');
+            });
+        } else {
+            ['#income-required-gross', '#income-required-net', '#income-required-gap', '#break-even-gross', '#break-even-net', '#break-even-gap']
+                .forEach(selector => setContent(selector, 'N/A'));
+        }
+
         // Price point label - more relatable phrasing (property instead of house)
         const pricePointLabel = pricePoint === 'q1' ? 'Below-average property (25th percentile)' : 
                                pricePoint === 'q3' ? 'Above-average property (75th percentile)' : 
@@ -764,15 +1436,29 @@ class HousingAffordabilityMap {
         const salePriceLabel = pricePoint === 'q1' ? '25th percentile' : pricePoint === 'q3' ? '75th percentile' : '50th percentile';
         setContent('#sale-price-label', salePriceLabel);
 
-        // Display sale price for the selected price point (not always median)
-        let selectedSalesPrice;
-        if (pricePoint === 'q1') {
-            selectedSalesPrice = (data.yearly_first_quartile_sales_000s || 0) * 1000;
-        } else if (pricePoint === 'q3') {
-            selectedSalesPrice = (data.yearly_third_quartile_sales_000s || 0) * 1000;
-        } else {
-            selectedSalesPrice = (data.yearly_median_sales_price_000s || 0) * 1000;
+        // Which dwellings the figures describe, calling out any fallback to a broader breakdown
+        if (this.hasBreakdowns) {
+            const requested = this._describeBreakdown(userSettings);
+            const describeSource = (breakdown) => {
+                if (!breakdown) return 'No data';
+                const used = this._describeBreakdown(breakdown);
+                return breakdown.isFallback ? `All ${used} (no data for ${requested})` : `${used.charAt(0).toUpperCase()}${used.slice(1)}`;
+            };
+            setContent('#rent-breakdown', describeSource(data.rent_breakdown));
+            setContent('#sales-breakdown', describeSource(data.sales_breakdown));
+            template.querySelector('#popup-breakdown').classList.remove('hidden');
         }
+
+        // How many bonds and sales the figures come from, where the data says
+        if (data.yearly_new_bonds != null || data.yearly_sales_count != null) {
+            const formatCount = (count) => count != null ? count.toLocaleString('en-AU') : 'Not recorded';
+            setContent('#rent-sample', formatCount(data.yearly_new_bonds));
+            setContent('#sales-sample', formatCount(data.yearly_sales_count));
+            template.querySelector('#popup-samples').classList.remove('hidden');
+        }
+
+        // Display sale price for the selected price point (not always median)
+        const selectedSalesPrice = salesPrice;
         // Format sale price - show as millions if over 1000k
         let formattedSalePrice = 'N/A';
         if (selectedSalesPrice > 0) {
@@ -784,41 +1470,171 @@ class HousingAffordabilityMap {
         }
         setContent('#median-sale-price-000s', formattedSalePrice);
 
+        // Trend over every period with data for this postcode
+        const trend = template.querySelector('#popup-trend');
+        if (this._renderTrendCharts(template.querySelector('#popup-trend-charts'), postcode, userSettings)) {
+            trend.classList.remove('hidden');
+        }
+
         const popupContainer = document.createElement('div');
         popupContainer.appendChild(template);
         return popupContainer;
     }
 
+    // Quartiles of a postcode's rent or sale prices, e.g. "(lower quartile $93, median $900, upper quartile $3,812 a week)"
+    _describeQuartiles(data, figure) {
+        const [median, first, third] = figure === 'rent'
+            ? [data.yearly_median_weekly_rent, data.yearly_first_quartile_weekly_rent, data.yearly_third_quartile_weekly_rent]
+            : [data.yearly_median_sales_price_000s, data.yearly_first_quartile_sales_000s, data.yearly_third_quartile_sales_000s].map(value => value * 1000);
+        const format = (value) => value > 0 ? DOLLAR_FORMAT.format(value) : 'not recorded';
+        return `(lower quartile ${format(first)}, median ${format(median)}, upper quartile ${format(third)}${figure === 'rent' ? ' a week' : ''})`;
+    }
+
+    // Cumulative cost of renting and of buying by the end of each year, marking the break-even year
+    _renderRentVsBuyChart(container, rentVsBuy) {
+        const compactCurrency = new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD', notation: 'compact', maximumFractionDigits: 1 });
+        const series = [
+            { label: 'Renting', color: '#2563eb', value: point => point.renting },
+            { label: 'Buying', color: '#7c3aed', value: point => point.buying }
+        ];
+        const points = rentVsBuy.years;
+
+        const width = 260, height = 110;
+        const margin = { top: 6, right: 8, bottom: 18, left: 44 };
+        const x = d3.scaleLinear().domain([1, points[points.length - 1].year]).range([margin.left, width - margin.right]);
+        const y = d3.scaleLinear()
+            .domain(d3.extent(points.flatMap(point => series.map(line => line.value(point)))))
+            .nice()
+            .range([height - margin.bottom, margin.top]);
+
+        const key = document.createElement('div');
+        key.className = 'flex gap-3 text-xs text-gray-600 mt-1';
+        series.forEach(line => {
+            const item = document.createElement('span');
+            item.innerHTML = `<span style="color:${line.color}">■</span> `;
+            item.append(`${line.label} (cumulative)`);
+            key.appendChild(item);
+        });
+        container.appendChild(key);
+
+        const svg = d3.select(container).append('svg')
+            .attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('width', '100%')
+            .attr('class', 'rent-vs-buy-chart');
+
+        svg.append('g')
+            .attr('transform', `translate(${margin.left},0)`)
+            .call(d3.axisLeft(y).ticks(4).tickFormat(value => compactCurrency.format(value)))
+            .call(g => g.select('.domain').remove());
+        svg.append('g')
+            .attr('transform', `translate(0,${height - margin.bottom})`)
+            .call(d3.axisBottom(x).ticks(5).tickFormat(year => `${year}y`).tickSizeOuter(0));
+
+        if (rentVsBuy.breakEvenYear !== null) {
+            svg.append('line')
+                .attr('x1', x(rentVsBuy.breakEvenYear))
+                .attr('x2', x(rentVsBuy.breakEvenYear))
+                .attr('y1', margin.top)
+                .attr('y2', height - margin.bottom)
+                .attr('stroke', '#9ca3af')
+                .attr('stroke-dasharray', '3 3');
+        }
+
+        series.forEach(line => {
+            svg.append('path')
+                .datum(points)
+                .attr('fill', 'none')
+                .attr('stroke', line.color)
+                .attr('stroke-width', 2)
+                .attr('d', d3.line().x(point => x(point.year)).y(point => y(line.value(point))));
+        });
+    }
+
+    // Median rent and sale price charts across periods; returns false when there is no trend to draw
+    _renderTrendCharts(container, postcode, settings) {
+        const rows = this.periods
+            .map(period => ({ period, row: getBreakdownRow(this.housingSeries[postcode][period], settings.dwellingType, settings.bedrooms) }))
+            .filter(({ row }) => row);
+        if (rows.length < 2) return false;
+
+        const compactCurrency = new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD', notation: 'compact', minimumFractionDigits: 0, maximumFractionDigits: 1 });
+        const metrics = [
+            { label: 'Median weekly rent', color: '#2563eb', value: row => row.yearly_median_weekly_rent },
+            { label: 'Median sale price', color: '#7c3aed', value: row => row.yearly_median_sales_price_000s * 1000 }
+        ];
+
+        let drawn = false;
+        metrics.forEach(metric => {
+            const points = rows
+                .map(({ period, row }) => ({ period, value: metric.value(row) }))
+                .filter(point => point.value > 0);
+            if (points.length < 2) return;
+            drawn = true;
+
+            const width = 260, height = 80;
+            const margin = { top: 6, right: 8, bottom: 16, left: 44 };
+            const x = d3.scalePoint().domain(points.map(p => p.period)).range([margin.left, width - margin.right]);
+            const y = d3.scaleLinear().domain(d3.extent(points, p => p.value)).nice().range([height - margin.bottom, margin.top]);
+
+            const wrapper = document.createElement('div');
+            wrapper.className = 'mb-1';
+            const title = document.createElement('div');
+            title.className = 'text-xs font-medium text-gray-600';
+            title.textContent = metric.label;
+            wrapper.appendChild(title);
+
+            const svg = d3.select(wrapper).append('svg')
+                .attr('viewBox', `0 0 ${width} ${height}`)
+                .attr('width', '100%')
+                .attr('class', 'trend-chart');
+
+            svg.append('g')
+                .attr('transform', `translate(${margin.left},0)`)
+                .call(d3.axisLeft(y).ticks(3).tickFormat(value => compactCurrency.format(value)))
+                .call(g => g.select('.domain').remove());
+
+            // First and last period only, so quarterly labels don't overlap
+            const ends = [points[0].period, points[points.length - 1].period];
+            svg.append('g')
+                .attr('transform', `translate(0,${height - margin.bottom})`)
+                .call(d3.axisBottom(x).tickValues(ends).tickSizeOuter(0));
+
+            svg.append('path')
+                .datum(points)
+                .attr('fill', 'none')
+                .attr('stroke', metric.color)
+                .attr('stroke-width', 2)
+                .attr('d', d3.line().x(p => x(p.period)).y(p => y(p.value)));
+
+            svg.selectAll('circle')
+                .data(points)
+                .join('circle')
+                .attr('cx', p => x(p.period))
+                .attr('cy', p => y(p.value))
+                .attr('r', p => p.period === this.selectedPeriod ? 4 : 2)
+                .attr('fill', p => p.period === this.selectedPeriod ? '#111827' : metric.color);
+
+            container.appendChild(wrapper);
+        });
+        return drawn;
+    }
 
     _addLegend() {
         const legend = L.control({ position: 'bottomright' });
         legend.onAdd = () => {
             const div = L.DomUtil.create('div', 'info legend p-2 bg-white rounded-lg shadow-lg border border-gray-200');
-            const grades = [
-                { limit: 20, color: this._getColor(15), label: '≤ 20% (Well Below 30% Rule)' },
-                { limit: 30, color: this._getColor(25), label: '21-30% (At 30% Rule Limit)' },
-                { limit: 40, color: this._getColor(35), label: '31-40% (Moderate Housing Stress)' },
-                { limit: 50, color: this._getColor(45), label: '41-50% (High Housing Stress)' },
-                { limit: Infinity, color: this._getColor(55), label: '> 50% (Severe Housing Stress)' }
-            ];
 
-            let content = `
+            div.innerHTML = `
                 <div class="flex items-center justify-between cursor-pointer mb-2" id="legend-toggle">
-                    <h4 class="font-bold text-sm">Housing Affordability</h4>
+                    <h4 class="font-bold text-sm" id="legend-title"></h4>
                     <svg id="legend-chevron" class="w-4 h-4 transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path>
                     </svg>
                 </div>
-                <div id="legend-content" class="space-y-1">
+                <div id="legend-content" class="space-y-1"></div>
             `;
-            grades.forEach(g => {
-                content += `<p><i style="background:${g.color}"></i> ${g.label}</p>`;
-            });
-            // Place Negative leftover at the end (worst case)
-            content += `<p><i style="background:#000; border: 1px solid #777; margin-left: 0;"></i> Negative leftover</p>`;
-            content += '<hr class="my-1 border-gray-300"><p class="text-xs">No Data: <i style="background:#ccc; border: 1px solid #777; margin-left: 0;"></i></p>';
-            content += '</div>';
-            div.innerHTML = content;
+            this.legendContainer = div;
+            this._updateLegend();
             
             // Add click handler for toggle
             const toggle = div.querySelector('#legend-toggle');
@@ -835,34 +1651,262 @@ class HousingAffordabilityMap {
         legend.addTo(this.map);
     }
 
-    _handleHousingTypeChange(type) {
-        this.housingType = type;
-        const mortgageSettings = document.getElementById('mortgageSettings');
-        const ownerCosts = document.getElementById('ownerCosts');
-        
-        if (type === 'buy') {
-            mortgageSettings.classList.remove('hidden');
-            ownerCosts.classList.remove('hidden');
+    _updateLegend() {
+        if (!this.legendContainer || !this.colourScale) return;
+
+        const mode = this._getMapMode();
+        const metric = MAP_METRICS[mode];
+        let title;
+        let bands;
+        if (this.comparison) {
+            title = `${this.comparison.a.name} → ${this.comparison.b.name}`;
+            bands = COMPARISON_BANDS;
+        } else if (this._isRegionLayerShown()) {
+            title = `Median Affordability by ${REGION_LEVELS[document.getElementById('regionLevel').value]}`;
+            bands = [...AFFORDABILITY_BANDS.map(band => this._applyPalette(band, AFFORDABILITY_BANDS)), NEGATIVE_LEFTOVER_BAND];
+        } else if (metric) {
+            title = metric.title;
+            // Listed from the favourable end, with negative leftover at the end (worst case) where it applies
+            bands = this.colourScale.bands && (metric.better === 'low' ? this.colourScale.bands : [...this.colourScale.bands].reverse());
+            if (bands && metric.flagsNegativeLeftover) bands = [...bands, NEGATIVE_LEFTOVER_BAND];
         } else {
-            mortgageSettings.classList.add('hidden');
-            ownerCosts.classList.add('hidden');
+            title = FIXED_BAND_MODES[mode].title;
+            bands = FIXED_BAND_MODES[mode].bands.map(band => this._applyPalette(band, FIXED_BAND_MODES[mode].bands));
         }
-        
-        this.updateMapAndTable();
-    }
 
-    _handleMortgageTypeChange(type) {
-        this.mortgageType = type;
-        this._toggleLoanTermVisibility();
-        this.updateMapAndTable();
+        let content = '';
+        if (bands) {
+            bands.forEach(band => {
+                const border = band === NEGATIVE_LEFTOVER_BAND ? ' border: 1px solid #777; margin-left: 0;' : '';
+                content += `<p><i style="background:${band.color};${border}"></i> ${band.label}</p>`;
+            });
+        } else {
+            // Continuous scale: a gradient from the favourable end, labelled with the thresholds it passes through
+            const { thresholds, palette } = this.colourScale;
+            const ticks = metric.better === 'low' ? thresholds : [...thresholds].reverse();
+            const stops = d3.range(0, 1.01, 0.25).map(t => palette(t)).join(', ');
+            content += `<div class="h-3 w-56 rounded-sm" style="background: linear-gradient(to right, ${stops});"></div>
+                <div class="flex justify-between w-56 text-xs">${ticks.map(value => `<span>${metric.format(value)}</span>`).join('')}</div>`;
+        }
+        content += `<hr class="my-1 border-gray-300"><p class="text-xs">${NO_DATA_BAND.label}: <i style="background:${NO_DATA_BAND.color}; border: 1px solid #777; margin-left: 0;"></i></p>`;
+        if (Object.values(this.housingData).some(data => data.low_confidence)) {
+            content += '<p class="text-xs">Figures may be unreliable: <i class="low-confidence-swatch"></i></p>';
+        }
+
+        this.legendContainer.querySelector('#legend-title').textContent = title;
+        this.legendContainer.querySelector('#legend-content').innerHTML = content;
+    }
+
+    // Year slider, added after the legend so it stacks above it; hidden until the data has more than one period
+    _addPeriodControl() {
+        const control = L.control({ position: 'bottomright' });
+        control.onAdd = () => {
+            const div = L.DomUtil.create('div', 'period-control p-2 bg-white rounded-lg shadow-lg border border-gray-200 w-56 hidden');
+            div.innerHTML = `
+                <div class="flex items-center justify-between mb-1">
+                    <label for="period-slider" class="font-bold text-sm">Period</label>
+                    <span id="period-label" class="text-sm font-semibold text-blue-700"></span>
+                </div>
+                <input type="range" id="period-slider" min="0" max="0" step="1" value="0" class="w-full">
+                <div class="flex justify-between text-xs text-gray-500">
+                    <span id="period-first"></span>
+                    <span id="period-last"></span>
+                </div>
+            `;
+            L.DomEvent.disableClickPropagation(div);
+            L.DomEvent.disableScrollPropagation(div);
+
+            div.querySelector('#period-slider').addEventListener('input', (event) => {
+                this.selectedPeriod = this.periods[Number(event.target.value)];
+                this._updatePeriodControl();
+                this._scheduleUpdate();
+            });
+
+            this.periodContainer = div;
+            return div;
+        };
+        control.addTo(this.map);
+    }
+
+    _updatePeriodControl() {
+        if (!this.periodContainer) return;
+
+        this.periodContainer.classList.toggle('hidden', this.periods.length <= 1);
+        const slider = this.periodContainer.querySelector('#period-slider');
+        slider.max = Math.max(0, this.periods.length - 1);
+        slider.value = Math.max(0, this.periods.indexOf(this.selectedPeriod));
+        this.periodContainer.querySelector('#period-label').textContent = this.selectedPeriod || '';
+        this.periodContainer.querySelector('#period-first').textContent = this.periods[0] || '';
+        this.periodContainer.querySelector('#period-last').textContent = this.periods[this.periods.length - 1] || '';
+    }
+
+    // Drawer comparing pinned postcodes side by side, below the search box; hidden while nothing is pinned
+    _addPinDrawer() {
+        const control = L.control({ position: 'topleft' });
+        control.onAdd = () => {
+            const div = L.DomUtil.create('div', 'pin-drawer bg-white rounded-lg shadow-lg border border-gray-200 w-64 md:w-[30rem] hidden');
+            div.innerHTML = `
+                <div class="flex items-center justify-between p-2">
+                    <button type="button" id="pin-drawer-toggle" class="flex items-center gap-1 font-bold text-sm text-gray-800">
+                        <span id="pin-drawer-title"></span>
+                        <svg id="pin-drawer-chevron" class="w-4 h-4 transition-transform rotate-180" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path>
+                        </svg>
+                    </button>
+                    <button type="button" id="pin-clear" class="text-xs text-red-600 hover:underline">Clear All</button>
+                </div>
+                <div id="pin-drawer-content" class="px-2 pb-2 overflow-auto max-h-[40vh]">
+                    <table class="text-xs whitespace-nowrap">
+                        <thead id="pin-table-head"></thead>
+                        <tbody id="pin-table-body"></tbody>
+                    </table>
+                </div>
+            `;
+            L.DomEvent.disableClickPropagation(div);
+            L.DomEvent.disableScrollPropagation(div);
+
+            div.querySelector('#pin-drawer-toggle').addEventListener('click', () => {
+                div.querySelector('#pin-drawer-content').classList.toggle('hidden');
+                div.querySelector('#pin-drawer-chevron').classList.toggle('rotate-180');
+            });
+            div.querySelector('#pin-clear').addEventListener('click', () => {
+                [...this.pinnedPostcodes].forEach(postcode => this._togglePin(postcode));
+            });
+            div.querySelector('#pin-table-head').addEventListener('click', (event) => {
+                const focus = event.target.closest('.pin-focus');
+                const remove = event.target.closest('.pin-remove');
+                if (focus) this._focusPostcode(focus.dataset.postcode);
+                if (remove) this._togglePin(remove.dataset.postcode);
+            });
+
+            this.pinDrawerContainer = div;
+            return div;
+        };
+        control.addTo(this.map);
+    }
+
+    _addSearchControl() {
+        const search = L.control({ position: 'topleft' });
+        search.onAdd = () => {
+            const div = L.DomUtil.create('div', 'search-control relative bg-white rounded-lg shadow-lg border border-gray-200 w-56 md:w-72');
+            div.innerHTML = `
+                <input type="search" id="location-search" placeholder="Search suburb or postcode" autocomplete="off"
+                    class="w-full p-2 rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500">
+                <ul id="location-search-results" class="absolute left-0 right-0 mt-1 bg-white rounded-lg shadow-lg border border-gray-200 max-h-64 overflow-y-auto text-sm hidden"></ul>
+            `;
+            L.DomEvent.disableClickPropagation(div);
+            L.DomEvent.disableScrollPropagation(div);
+
+            const input = div.querySelector('#location-search');
+            const resultsList = div.querySelector('#location-search-results');
+            let results = [];
+            let activeIndex = -1;
+
+            const closeResults = () => {
+                resultsList.classList.add('hidden');
+                activeIndex = -1;
+            };
+
+            const renderResults = () => {
+                resultsList.innerHTML = '';
+                results.forEach((result, index) => {
+                    const item = document.createElement('li');
+                    item.className = `px-2 py-1 cursor-pointer hover:bg-gray-100 ${index === activeIndex ? 'bg-gray-100' : ''}`;
+                    item.dataset.index = index;
+
+                    const label = document.createElement('div');
+                    label.className = 'font-semibold text-gray-800';
+                    label.textContent = result.label;
+                    const detail = document.createElement('div');
+                    detail.className = 'text-xs text-gray-500 truncate';
+                    detail.textContent = result.detail;
+                    item.append(label, detail);
+
+                    resultsList.appendChild(item);
+                });
+                if (input.value.trim() && results.length === 0) {
+                    resultsList.innerHTML = '<li class="px-2 py-1 text-gray-500">No matching suburb or postcode</li>';
+                }
+                resultsList.classList.toggle('hidden', !input.value.trim());
+            };
+
+            const selectResult = (result) => {
+                if (!result) return;
+                input.value = result.label;
+                closeResults();
+                input.blur();
+                this._focusPostcode(result.postcode);
+            };
+
+            input.addEventListener('input', () => {
+                results = this._searchLocations(input.value);
+                activeIndex = results.length ? 0 : -1;
+                renderResults();
+            });
+
+            input.addEventListener('keydown', (event) => {
+                if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                    if (!results.length) return;
+                    event.preventDefault();
+                    const step = event.key === 'ArrowDown' ? 1 : -1;
+                    activeIndex = (activeIndex + step + results.length) % results.length;
+                    renderResults();
+                } else if (event.key === 'Enter') {
+                    event.preventDefault();
+                    selectResult(results[activeIndex]);
+                } else if (event.key === 'Escape') {
+                    closeResults();
+                }
+            });
+
+            // mousedown rather than click so the selection lands before the input loses focus
+            resultsList.addEventListener('mousedown', (event) => {
+                const item = event.target.closest('li[data-index]');
+                if (item) {
+                    event.preventDefault();
+                    selectResult(results[Number(item.dataset.index)]);
+                }
+            });
+
+            input.addEventListener('blur', closeResults);
+
+            return div;
+        };
+        search.addTo(this.map);
+    }
+
+    _handleHousingTypeChange(type) {
+        this.housingType = type;
+        this._updateSectionVisibility();
+        this.updateMapAndTable();
+    }
+
+    // Purchase settings are needed when buying, and by map modes that are about buying
+    _updateSectionVisibility() {
+        const needsPurchaseSettings = this.housingType === 'buy' || PURCHASE_MAP_MODES.includes(this._getMapMode());
+        document.getElementById('mortgageSettings').classList.toggle('hidden', !needsPurchaseSettings);
+        document.getElementById('ownerCosts').classList.toggle('hidden', !needsPurchaseSettings);
+        document.getElementById('serviceabilitySettings').classList.toggle('hidden', this._getMapMode() !== 'serviceability');
+        document.getElementById('savingsPlanSettings').classList.toggle('hidden', this._getMapMode() !== 'yearsToSave');
+        document.getElementById('rentVsBuySettings').classList.toggle('hidden', !['rentBuyGap', 'rentBuyBreakEven'].includes(this._getMapMode()));
+    }
+
+    _handleMortgageTypeChange(type) {
+        this.mortgageType = type;
+        this._toggleLoanTermVisibility();
+        this.updateMapAndTable();
     }
 
     _handleDepositTypeChange(type) {
         this.depositType = type;
-        const isPercent = type === 'percent';
+        this._updateDepositInputs();
+        this.updateMapAndTable();
+    }
+
+    _updateDepositInputs() {
+        const isPercent = this.depositType === 'percent';
         document.getElementById('depositPercent').style.display = isPercent ? 'block' : 'none';
         document.getElementById('depositAmount').style.display = isPercent ? 'none' : 'block';
-        this.updateMapAndTable();
     }
 
     _toggleLoanTermVisibility() {
@@ -878,6 +1922,1045 @@ class HousingAffordabilityMap {
         });
     }
 
+    _setupDataTable() {
+        document.getElementById('table-header').addEventListener('click', () => {
+            document.getElementById('table-content').classList.toggle('hidden');
+            document.getElementById('table-chevron').classList.toggle('rotate-180');
+        });
+
+        document.getElementById('table-search').addEventListener('input', () => this._updateTable());
+        document.getElementById('table-band').addEventListener('change', () => this._updateTable());
+
+        document.querySelectorAll('#data-table th[data-sort]').forEach(header => {
+            header.addEventListener('click', () => {
+                const key = header.dataset.sort;
+                if (this.tableSort.key === key) {
+                    this.tableSort.direction = this.tableSort.direction === 'asc' ? 'desc' : 'asc';
+                } else {
+                    this.tableSort = { key, direction: 'asc' };
+                }
+                this._updateTable();
+            });
+        });
+
+        document.getElementById('data-table-body').addEventListener('click', (event) => {
+            const row = event.target.closest('tr[data-postcode]');
+            if (row) {
+                this._focusPostcode(row.dataset.postcode);
+            }
+        });
+    }
+
+    _updateTable() {
+        const tableBody = document.getElementById('data-table-body');
+        if (!tableBody) return;
+
+        const formatter = new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD', maximumFractionDigits: 0 });
+        const formatCurrency = (val) => (val != null) ? formatter.format(Math.round(val)) : 'N/A';
+        const searchTerm = document.getElementById('table-search').value.trim().toLowerCase();
+        const bandFilter = document.getElementById('table-band').value;
+
+        this.sortedDataList = Object.entries(this.housingData).filter(([, data]) => !data.outside_commute && !data.below_min_sample).map(([postcode, data]) => ({
+            postcode,
+            suburbs: this.suburbLookup[postcode] || '',
+            price: this.housingType === 'buy' ? data.selected_sale_price : data.selected_weekly_rent,
+            weekly_housing_cost: data.weekly_housing_cost > 0 ? data.weekly_housing_cost : null,
+            affordability_percentage: data.affordability_percentage > 0 ? data.affordability_percentage : null,
+            weekly_money_leftover: data.weekly_money_leftover,
+            band: this._getAffordabilityBand(data.affordability_percentage, data.weekly_money_leftover)
+        })).filter(row => {
+            if (bandFilter !== 'all' && row.band.key !== bandFilter) return false;
+            if (!searchTerm) return true;
+            return row.postcode.includes(searchTerm) || row.suburbs.toLowerCase().includes(searchTerm);
+        });
+
+        // Sort with missing values always last, whichever direction is selected
+        const { key, direction } = this.tableSort;
+        const sign = direction === 'asc' ? 1 : -1;
+        this.sortedDataList.sort((a, b) => {
+            const aVal = a[key];
+            const bVal = b[key];
+            if (aVal == null || aVal === '') return (bVal == null || bVal === '') ? 0 : 1;
+            if (bVal == null || bVal === '') return -1;
+            if (typeof aVal === 'string') return aVal.localeCompare(bVal) * sign;
+            return (aVal - bVal) * sign;
+        });
+
+        document.querySelectorAll('#data-table th[data-sort]').forEach(header => {
+            header.classList.remove('sorted-asc', 'sorted-desc');
+            if (header.dataset.sort === key) {
+                header.classList.add(direction === 'asc' ? 'sorted-asc' : 'sorted-desc');
+            }
+        });
+
+        document.getElementById('table-price-heading').textContent = this.housingType === 'buy' ? 'Sale Price' : 'Weekly Rent';
+        document.getElementById('table-count').textContent = `${this.sortedDataList.length} postcodes`;
+
+        tableBody.innerHTML = '';
+        const fragment = document.createDocumentFragment();
+        this.sortedDataList.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.dataset.postcode = row.postcode;
+            tr.className = 'border-b border-gray-100';
+            if (row.postcode === this.openPostcode) {
+                tr.classList.add('bg-blue-50');
+            }
+
+            const cells = [
+                row.suburbs || `Postcode ${row.postcode}`,
+                row.postcode,
+                formatCurrency(row.price),
+                formatCurrency(row.weekly_housing_cost),
+                row.affordability_percentage != null ? `${row.affordability_percentage.toFixed(1)}%` : 'N/A',
+                formatCurrency(row.weekly_money_leftover)
+            ];
+            cells.forEach((text, index) => {
+                const td = document.createElement('td');
+                td.className = index < 2 ? 'px-2 py-1' : 'px-2 py-1 text-right';
+                td.textContent = text;
+                if (index === 0) {
+                    td.title = row.suburbs;
+                }
+                tr.appendChild(td);
+            });
+
+            // Colour swatch on the percentage cell mirrors the map colour
+            const percentageCell = tr.children[4];
+            percentageCell.style.borderLeft = `4px solid ${row.band.color}`;
+
+            fragment.appendChild(tr);
+        });
+        tableBody.appendChild(fragment);
+    }
+
+    _focusPostcode(postcode) {
+        const layer = this.layersByPostcode[postcode];
+        if (!layer) return;
+
+        this.map.fitBounds(layer.getBounds(), { maxZoom: 13 });
+        this._highlightFeature(layer);
+        this._showPopup({ latlng: layer.getBounds().getCenter() }, layer.feature, layer);
+    }
+
+    _setupSavedScenarios() {
+        document.getElementById('saveScenario').addEventListener('click', () => {
+            const nameInput = document.getElementById('scenarioName');
+            const name = nameInput.value.trim();
+            if (!name) {
+                nameInput.focus();
+                return;
+            }
+
+            // Saving under an existing name replaces that scenario
+            const scenarios = this._loadSavedScenarios().filter(scenario => scenario.name !== name);
+            scenarios.push({ name, state: this._getScenarioState() });
+            this._storeSavedScenarios(scenarios);
+            nameInput.value = '';
+            this._renderSavedScenarios();
+        });
+
+        document.getElementById('scenarioList').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+
+            const name = button.dataset.name;
+            if (button.dataset.action === 'load') {
+                this._loadScenario(name);
+            } else if (button.dataset.action === 'delete') {
+                this._storeSavedScenarios(this._loadSavedScenarios().filter(scenario => scenario.name !== name));
+                if (this.comparison && (this.comparison.a.name === name || this.comparison.b.name === name)) {
+                    this._stopComparison();
+                }
+                this._renderSavedScenarios();
+            }
+        });
+
+        document.getElementById('toggleComparison').addEventListener('click', () => {
+            if (this.comparison) {
+                this._stopComparison();
+            } else {
+                this._startComparison(
+                    document.getElementById('compareScenarioA').value,
+                    document.getElementById('compareScenarioB').value
+                );
+            }
+        });
+
+        this._renderSavedScenarios();
+    }
+
+    _loadSavedScenarios() {
+        try {
+            const scenarios = JSON.parse(localStorage.getItem(SCENARIO_STORAGE_KEY) || '[]');
+            return Array.isArray(scenarios) ? scenarios.filter(scenario => scenario && scenario.name && scenario.state) : [];
+        } catch (error) {
+            console.error('Could not read saved scenarios:', error);
+            return [];
+        }
+    }
+
+    _storeSavedScenarios(scenarios) {
+        try {
+            localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(scenarios));
+        } catch (error) {
+            console.error('Could not save scenarios:', error);
+        }
+    }
+
+    _renderSavedScenarios() {
+        const scenarios = this._loadSavedScenarios();
+        const list = document.getElementById('scenarioList');
+        list.innerHTML = '';
+
+        if (scenarios.length === 0) {
+            list.innerHTML = '<li class="text-gray-500">No saved scenarios yet.</li>';
+        }
+
+        scenarios.forEach(scenario => {
+            const item = document.createElement('li');
+            item.className = 'flex items-center justify-between gap-2';
+
+            const label = document.createElement('span');
+            label.className = 'truncate text-gray-700';
+            label.textContent = scenario.name;
+            label.title = scenario.name;
+            item.appendChild(label);
+
+            const actions = document.createElement('span');
+            actions.className = 'flex gap-2 shrink-0';
+            [['load', 'Load', 'text-blue-600'], ['delete', 'Delete', 'text-red-600']].forEach(([action, text, colour]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `${colour} hover:underline`;
+                button.dataset.action = action;
+                button.dataset.name = scenario.name;
+                button.textContent = text;
+                actions.appendChild(button);
+            });
+            item.appendChild(actions);
+
+            list.appendChild(item);
+        });
+
+        // Comparison needs two scenarios to pick from
+        const compareSection = document.getElementById('scenarioCompare');
+        compareSection.classList.toggle('hidden', scenarios.length < 2);
+        const names = scenarios.map(scenario => scenario.name);
+        const selectA = document.getElementById('compareScenarioA');
+        const selectB = document.getElementById('compareScenarioB');
+        // Keep the previous picks where they still exist, and default B to a different scenario than A
+        const nameA = names.includes(selectA.value) ? selectA.value : (names[0] || '');
+        const nameB = names.includes(selectB.value) && selectB.value !== nameA
+            ? selectB.value
+            : (names.find(name => name !== nameA) || '');
+        [[selectA, nameA], [selectB, nameB]].forEach(([select, selected]) => {
+            select.innerHTML = '';
+            names.forEach(name => select.add(new Option(name, name)));
+            select.value = selected;
+        });
+    }
+
+    _loadScenario(name) {
+        const scenario = this._loadSavedScenarios().find(saved => saved.name === name);
+        if (!scenario) return;
+
+        this._applyScenarioState(scenario.state);
+    }
+
+    _startComparison(nameA, nameB) {
+        const scenarios = this._loadSavedScenarios();
+        const a = scenarios.find(scenario => scenario.name === nameA);
+        const b = scenarios.find(scenario => scenario.name === nameB);
+        const status = document.getElementById('comparisonStatus');
+
+        if (!a || !b || nameA === nameB) {
+            status.textContent = 'Choose two different scenarios to compare.';
+            return;
+        }
+
+        this.comparison = { a, b, results: {} };
+        status.textContent = `Map shows how each postcode's affordability band changes from "${a.name}" to "${b.name}".`;
+        document.getElementById('toggleComparison').textContent = 'Stop Comparing';
+        this._updateLegend();
+        this.updateMapAndTable();
+    }
+
+    _stopComparison() {
+        this.comparison = null;
+        document.getElementById('comparisonStatus').textContent = '';
+        document.getElementById('toggleComparison').textContent = 'Compare on Map';
+        this._updateLegend();
+        this.updateMapAndTable();
+    }
+
+    // Recomputes both saved scenarios against the current housing data while comparing
+    _updateComparison() {
+        if (!this.comparison) return;
+
+        const settingsA = this._getUserSettings(this.comparison.a.state);
+        const settingsB = this._getUserSettings(this.comparison.b.state);
+        // Scenarios can pick different dwelling types or bedrooms, so each gets its own figures
+        const viewA = buildHousingView(this.housingSeries, this.selectedPeriod, settingsA);
+        const viewB = buildHousingView(this.housingSeries, this.selectedPeriod, settingsB);
+        this.comparison.results = {};
+        for (const postcode in this.housingData) {
+            if (!viewA[postcode] || !viewB[postcode]) continue;
+            this.comparison.results[postcode] = {
+                a: calculatePostcodeAffordability(viewA[postcode], getPostcodeSettings(settingsA, getCommute(this.centroids[postcode], settingsA))),
+                b: calculatePostcodeAffordability(viewB[postcode], getPostcodeSettings(settingsB, getCommute(this.centroids[postcode], settingsB)))
+            };
+        }
+    }
+
+    _setupCommute() {
+        ['maxCommuteDistance', 'commuteDays', 'commuteCostPerKm'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this._scheduleUpdate());
+        });
+        document.getElementById('includeCommuteCost').addEventListener('change', () => this.updateMapAndTable());
+
+        // Picking a suburb or postcode puts the workplace at its centroid
+        const search = document.getElementById('workplace-search');
+        search.addEventListener('change', () => {
+            const match = search.value.match(/\d{4}/);
+            const centroid = match && this.centroids[match[0]];
+            if (centroid) {
+                this._setWorkplace({ lat: centroid[0], lng: centroid[1] }, search.value);
+            }
+            search.value = '';
+        });
+
+        const placeButton = document.getElementById('placeWorkplace');
+        placeButton.addEventListener('click', () => {
+            this.isPlacingWorkplace = !this.isPlacingWorkplace;
+            placeButton.textContent = this.isPlacingWorkplace ? 'Click the map…' : 'Drop Pin on Map';
+            this.map.getContainer().classList.toggle('placing-workplace', this.isPlacingWorkplace);
+        });
+        this.map.on('click', (event) => {
+            if (!this.isPlacingWorkplace) return;
+            this.isPlacingWorkplace = false;
+            placeButton.textContent = 'Drop Pin on Map';
+            this.map.getContainer().classList.remove('placing-workplace');
+            this._setWorkplace(event.latlng);
+        });
+
+        document.getElementById('clearWorkplace').addEventListener('click', () => this._setWorkplace(null));
+    }
+
+    // Suburb and postcode options for the workplace picker, once the lookup has loaded
+    _populateWorkplaceOptions() {
+        const options = document.getElementById('workplace-options');
+        options.innerHTML = '';
+        this.searchIndex.filter(entry => entry.label !== entry.postcode).forEach(entry => {
+            options.appendChild(new Option(`${entry.label} (${entry.postcode})`));
+        });
+    }
+
+    _setWorkplace(latlng, label = null) {
+        this.workplace = latlng ? { lat: latlng.lat, lng: latlng.lng } : null;
+        this.workplaceLabel = label;
+        this.updateMapAndTable();
+    }
+
+    // Workplace marker (draggable) and a circle at the distance limit
+    _updateWorkplaceLayers() {
+        if (this.workplaceLayers) {
+            this.workplaceLayers.remove();
+            this.workplaceLayers = null;
+        }
+
+        const label = document.getElementById('workplace-label');
+        document.getElementById('clearWorkplace').classList.toggle('hidden', !this.workplace);
+        if (!this.workplace) {
+            label.textContent = 'No workplace set';
+            return;
+        }
+
+        // Pins and shared links have no suburb name, so describe them by the nearest postcode
+        const nearest = findNearestPostcode(this.centroids, this.workplace.lat, this.workplace.lng);
+        label.textContent = this.workplaceLabel || (nearest ? `Pin near postcode ${nearest}` : 'Pin dropped');
+
+        const marker = L.marker([this.workplace.lat, this.workplace.lng], { draggable: true, title: 'Workplace' });
+        marker.on('dragend', () => this._setWorkplace(marker.getLatLng()));
+        this.workplaceLayers = L.layerGroup([marker]);
+
+        const maxDistance = this._getUserSettings().maxCommuteDistance;
+        if (maxDistance > 0) {
+            this.workplaceLayers.addLayer(L.circle([this.workplace.lat, this.workplace.lng], {
+                radius: maxDistance * 1000,
+                color: '#1d4ed8',
+                weight: 2,
+                dashArray: '6 6',
+                fill: false,
+                interactive: false
+            }));
+        }
+        this.workplaceLayers.addTo(this.map);
+    }
+
+    _registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.register(SERVICE_WORKER_PATH).catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+
+    // Swaps the basemap for the bundled NSW outline while tiles fail, and back once one loads
+    _setBasemapOffline(isOffline) {
+        if (isOffline === this.isBasemapOffline) return;
+        this.isBasemapOffline = isOffline;
+        this.map.getContainer().classList.toggle('basemap-offline', isOffline);
+        this._updateDatasetStatus();
+
+        if (!isOffline) {
+            if (this.outlineLayer) this.outlineLayer.remove();
+            return;
+        }
+        if (this.outlineLayer) {
+            this.outlineLayer.addTo(this.map);
+            return;
+        }
+        fetch(OUTLINE_PATH)
+            .then(res => res.json())
+            .then(outline => {
+                this.outlineLayer = L.geoJson(outline, {
+                    style: { color: '#475569', weight: 1.5, opacity: 0.8 },
+                    interactive: false
+                });
+                if (this.isBasemapOffline) this.outlineLayer.addTo(this.map);
+            })
+            .catch(error => console.error('Could not load the NSW outline:', error));
+    }
+
+    _setupDatasetStatus() {
+        window.addEventListener('online', () => this._updateDatasetStatus());
+        window.addEventListener('offline', () => this._updateDatasetStatus());
+    }
+
+    _updateDatasetStatus() {
+        const status = document.getElementById('dataset-status');
+        const parts = [this.datasetVersion ? `Data version ${this.datasetVersion}` : 'Data version unknown'];
+        if (!navigator.onLine) {
+            parts.push('offline, using saved copy');
+        } else if (this.isBasemapOffline) {
+            parts.push('map tiles unavailable, showing NSW outline');
+        }
+        status.textContent = parts.join(' · ');
+        status.classList.toggle('text-amber-700', !navigator.onLine || this.isBasemapOffline);
+    }
+
+    _setupShareLink() {
+        const button = document.getElementById('share-link');
+        const status = document.getElementById('share-link-status');
+
+        button.addEventListener('click', async () => {
+            this._writeUrlState();
+            const url = window.location.href;
+            try {
+                await navigator.clipboard.writeText(url);
+                status.textContent = 'Link copied to clipboard';
+            } catch (error) {
+                // Clipboard access can be blocked (e.g. non-HTTPS); let the user copy it manually
+                window.prompt('Copy this link to share your scenario:', url);
+                status.textContent = '';
+            }
+        });
+    }
+
+    _setupExport() {
+        const status = document.getElementById('export-status');
+        const reportInput = document.getElementById('report-postcode');
+
+        document.getElementById('export-csv').addEventListener('click', () => {
+            this._downloadFile(`${this._getExportName()}.csv`, Papa.unparse(this._getExportRows()), 'text/csv');
+        });
+
+        document.getElementById('export-geojson').addEventListener('click', () => {
+            if (!this.geojsonData) return;
+            const rowsByPostcode = new Map(this._getExportRows().map(row => [row.postcode, row]));
+            const geojson = {
+                ...this.geojsonData,
+                features: this.geojsonData.features.map(feature => {
+                    const { postcode, ...values } = rowsByPostcode.get(String(feature.properties.POA_CODE21)) || {};
+                    return { ...feature, properties: { ...feature.properties, ...values } };
+                })
+            };
+            this._downloadFile(`${this._getExportName()}.geojson`, JSON.stringify(geojson), 'application/geo+json');
+        });
+
+        document.getElementById('print-report').addEventListener('click', () => {
+            // Picked suburbs read "Suburb (2000)"; a blank field means the open postcode
+            const match = reportInput.value.match(/\d{4}/);
+            const postcode = match ? match[0] : this.openPostcode;
+            if (!postcode || !this.housingData[postcode] || !this.layersByPostcode[postcode]) {
+                status.textContent = reportInput.value.trim() ? 'No results for that postcode' : 'Open a postcode on the map or pick one to print its report';
+                reportInput.focus();
+                return;
+            }
+            status.textContent = '';
+            this._printReport(postcode);
+        });
+
+        // The report is only needed while printing
+        window.addEventListener('afterprint', () => {
+            document.getElementById('print-report-output').innerHTML = '';
+        });
+    }
+
+    // Per-postcode results for the current scenario and period, as flat rows for the CSV and GeoJSON downloads
+    _getExportRows() {
+        const round = (value, digits = 0) => (value != null && Number.isFinite(value)) ? Number(value.toFixed(digits)) : null;
+        return Object.entries(this.housingData)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([postcode, data]) => ({
+                postcode,
+                suburbs: this.suburbLookup[postcode] || '',
+                period: this.selectedPeriod,
+                housing_type: this.housingType,
+                selected_price: round(this.housingType === 'buy' ? data.selected_sale_price : data.selected_weekly_rent),
+                weekly_housing_cost: data.weekly_housing_cost > 0 ? round(data.weekly_housing_cost) : null,
+                affordability_percentage: data.affordability_percentage > 0 ? round(data.affordability_percentage, 1) : null,
+                weekly_money_leftover: round(data.weekly_money_leftover),
+                affordability_band: this._getAffordabilityBand(data.affordability_percentage, data.weekly_money_leftover).label,
+                commute_distance_km: round(data.commute_distance, 1),
+                new_bonds: data.yearly_new_bonds ?? null,
+                sales_count: data.yearly_sales_count ?? null,
+                data_issues: (data.data_issues || []).map(issue => `${issue.figure} ${issue.kind}`).join('; '),
+                hidden_below_min_sample: Boolean(data.below_min_sample),
+                // Dropped from the table and regional summary, so marked for anyone filtering the download
+                outside_commute: Boolean(data.outside_commute)
+            }));
+    }
+
+    _getExportName() {
+        return `nsw-housing-${this.housingType}-${String(this.selectedPeriod).toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+    }
+
+    _downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url));
+    }
+
+    // Fills the print-only report with the postcode's details, a map snapshot and the scenario, then prints it
+    _printReport(postcode) {
+        const report = document.getElementById('report-template').content.cloneNode(true);
+        const suburbs = this.suburbLookup[postcode] || `Postcode ${postcode}`;
+        const meta = [`Prepared ${new Date().toLocaleDateString('en-AU', { day: 'numeric', month: 'long', year: 'numeric' })}`, `Period ${this.selectedPeriod}`];
+        if (this.datasetVersion) meta.push(`Data version ${this.datasetVersion}`);
+
+        report.querySelector('#report-title').textContent = `${suburbs} (${postcode})`;
+        report.querySelector('#report-meta').textContent = meta.join(' · ');
+        report.querySelector('#report-breakdown').appendChild(this._createPopupContent(postcode, this.housingData[postcode]));
+        report.querySelector('#report-map').appendChild(this._renderReportMap(postcode));
+        if (this.legendContainer) {
+            report.querySelector('#report-legend').innerHTML = `<h4 class="font-bold mb-1">${this.legendContainer.querySelector('#legend-title').textContent}</h4>`
+                + this.legendContainer.querySelector('#legend-content').innerHTML;
+        }
+
+        const inputs = report.querySelector('#report-inputs');
+        this._getReportInputs().forEach(([label, value]) => {
+            const row = document.createElement('tr');
+            row.className = 'border-b border-gray-100';
+            [label, value].forEach((text, index) => {
+                const cell = document.createElement('td');
+                cell.className = index === 0 ? 'py-1 pr-4 text-gray-600' : 'py-1 font-semibold';
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            inputs.appendChild(row);
+        });
+
+        const container = document.getElementById('print-report-output');
+        container.innerHTML = '';
+        container.appendChild(report);
+        window.print();
+    }
+
+    // Static SVG of the postcode and its neighbours, coloured as on the map, since basemap tiles don't print reliably
+    _renderReportMap(postcode) {
+        const bounds = this.layersByPostcode[postcode].getBounds().pad(REPORT_MAP_PADDING);
+        const features = this.geojsonData.features.filter(feature => {
+            const layer = this.layersByPostcode[String(feature.properties.POA_CODE21)];
+            return layer && bounds.intersects(layer.getBounds());
+        });
+
+        const projection = L.Projection.SphericalMercator;
+        const min = projection.project(bounds.getSouthWest());
+        const max = projection.project(bounds.getNorthEast());
+        const scale = REPORT_MAP_WIDTH / (max.x - min.x);
+        const height = Math.round((max.y - min.y) * scale);
+        const path = d3.geoPath(d3.geoTransform({
+            point(lng, lat) {
+                const point = projection.project(L.latLng(lat, lng));
+                this.stream.point((point.x - min.x) * scale, (max.y - point.y) * scale);
+            }
+        }));
+
+        const svg = d3.create('svg')
+            .attr('viewBox', `0 0 ${REPORT_MAP_WIDTH} ${height}`)
+            .attr('width', '100%')
+            .style('background', '#f8fafc');
+        svg.append('g')
+            .selectAll('path')
+            .data(features)
+            .join('path')
+            .attr('d', path)
+            .attr('fill', feature => this._styleFeature(feature).fillColor)
+            .attr('fill-opacity', feature => this._styleFeature(feature).fillOpacity)
+            .attr('stroke', '#ffffff')
+            .attr('stroke-width', 0.75);
+
+        // Outline the reported postcode on top of its neighbours
+        svg.append('path')
+            .datum(this.layersByPostcode[postcode].feature)
+            .attr('d', path)
+            .attr('fill', 'none')
+            .attr('stroke', '#111827')
+            .attr('stroke-width', 2.5);
+
+        return svg.node();
+    }
+
+    // Label and displayed value of each input that applies to the scenario, for the printed report
+    _getReportInputs() {
+        const settings = this._getUserSettings();
+        const earnerInputs = this._readEarnerInputs();
+        const rows = settings.earners.map((earner, index) => [
+            earner.label,
+            `$${Math.round(earner.grossIncome).toLocaleString()}/yr before tax, $${Math.round(earner.netIncome).toLocaleString()}/yr after tax`
+                + (earnerInputs[index] && earnerInputs[index].hasHelpDebt ? ', HELP/HECS debt' : '')
+        ]);
+        rows.push(['Rent or buy', this.housingType === 'buy' ? 'Buy' : 'Rent']);
+        if (this.workplace) {
+            rows.push(['Workplace', document.getElementById('workplace-label').textContent]);
+        }
+
+        // Commute settings only apply once a workplace is set
+        const commuteFields = ['maxCommuteDistance', 'includeCommuteCost', 'commuteDays', 'commuteCostPerKm'];
+        SCENARIO_INPUT_FIELDS.forEach(id => {
+            const element = document.getElementById(id);
+            if (!this._isInputShown(element) || (!this.workplace && commuteFields.includes(id))) return;
+            const labelElement = document.querySelector(`label[for="${id}"]`) || element.closest('label');
+            const label = labelElement ? labelElement.textContent.trim() : element.getAttribute('aria-label');
+            if (!label) return;
+            let value = element.value;
+            if (element.type === 'checkbox') {
+                value = element.checked ? 'Yes' : 'No';
+            } else if (element.tagName === 'SELECT') {
+                value = element.selectedOptions[0] ? element.selectedOptions[0].text : '';
+            }
+            rows.push([label, value === '' ? '—' : value]);
+        });
+        return rows;
+    }
+
+    // Whether an input sits in a section that applies to the scenario, regardless of the controls panel being collapsed
+    _isInputShown(element) {
+        for (let node = element; node && node.id !== 'controls-content'; node = node.parentElement) {
+            if (node.classList.contains('hidden') || node.style.display === 'none') return false;
+        }
+        return true;
+    }
+
+    _setupStressTest() {
+        document.getElementById('stressTestToggle').addEventListener('click', () => {
+            document.getElementById('stressTest').classList.toggle('hidden');
+            document.getElementById('stressTestChevron').classList.toggle('rotate-180');
+            this._updateStressTest();
+        });
+        ['stressMinRate', 'stressMaxRate', 'stressIncomeChange'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this._scheduleUpdate());
+        });
+    }
+
+    // Rates charted across the settings' stress test range, widening the gap between them so a wide range stays readable
+    _getStressRates({ stressMinRate: minRate, stressMaxRate: maxRate }) {
+        if (maxRate <= minRate) return [];
+        const step = Math.max(STRESS_RATE_STEP, Math.ceil((maxRate - minRate) / (MAX_STRESS_RATES - 1) / STRESS_RATE_STEP) * STRESS_RATE_STEP);
+        return d3.range(minRate, maxRate + step / 2, step).map(rate => Math.round(rate * 100) / 100);
+    }
+
+    // Recalculates buying at each rate in the stress test range; skipped while the panel is closed
+    _updateStressTest() {
+        const panel = document.getElementById('stressTest');
+        const container = document.getElementById('stressChart');
+        const summary = document.getElementById('stressSummary');
+        if (panel.classList.contains('hidden')) return;
+        container.innerHTML = '';
+        summary.textContent = '';
+
+        const state = this._getScenarioState();
+        const { stressIncomeChange } = this._getUserSettings(state);
+        const settings = this._getUserSettings(applyIncomeChange(state, stressIncomeChange));
+        const rates = this._getStressRates(settings);
+        if (rates.length === 0) {
+            summary.textContent = 'Enter a range of interest rates, lowest first.';
+            return;
+        }
+        const rows = buildHousingView(this.housingSeries, this.selectedPeriod, settings);
+
+        // Most affordable band at the bottom of each bar
+        const bands = [...AFFORDABILITY_BANDS, NEGATIVE_LEFTOVER_BAND];
+        const sweep = sweepInterestRates(rows, settings, rates, this.centroids).map(({ rate, results }) => {
+            const counts = Object.fromEntries(bands.map(band => [band.key, 0]));
+            Object.values(results).forEach(result => {
+                const band = this._getAffordabilityBand(result.affordability_percentage, result.weekly_money_leftover);
+                if (band !== NO_DATA_BAND) counts[band.key]++;
+            });
+            return { rate, counts };
+        });
+        if (!sweep.some(point => bands.some(band => point.counts[band.key] > 0))) {
+            summary.textContent = 'No postcodes have sale prices to test.';
+            return;
+        }
+
+        this._renderStressChart(container, sweep, bands, settings.interestRate);
+
+        const withinRule = (point) => point.counts['very-affordable'] + point.counts.affordable;
+        const first = sweep[0];
+        const last = sweep[sweep.length - 1];
+        summary.textContent = `Within the 30% rule: ${withinRule(first)} postcodes at ${first.rate}%, ${withinRule(last)} at ${last.rate}%.`;
+    }
+
+    // Stacked bars of postcodes in each band at each rate. Clicking a bar sets the map to that rate.
+    _renderStressChart(container, sweep, bands, currentRate) {
+        const stacked = d3.stack().keys(bands.map(band => band.key))(sweep.map(point => point.counts));
+        const colors = Object.fromEntries(bands.map(band => [band.key, this._applyPalette(band, AFFORDABILITY_BANDS).color]));
+
+        const width = 260, height = 130;
+        const margin = { top: 6, right: 6, bottom: 18, left: 32 };
+        const x = d3.scaleBand().domain(sweep.map(point => point.rate)).range([margin.left, width - margin.right]).padding(0.1);
+        const y = d3.scaleLinear()
+            .domain([0, d3.max(stacked[stacked.length - 1], segment => segment[1])])
+            .nice()
+            .range([height - margin.bottom, margin.top]);
+
+        const svg = d3.select(container).append('svg')
+            .attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('width', '100%')
+            .attr('class', 'stress-chart');
+
+        svg.append('g')
+            .attr('transform', `translate(${margin.left},0)`)
+            .call(d3.axisLeft(y).ticks(4))
+            .call(g => g.select('.domain').remove());
+        // Label about six rates, so the axis stays readable however many are charted
+        const labelEvery = Math.ceil(sweep.length / 6);
+        svg.append('g')
+            .attr('transform', `translate(0,${height - margin.bottom})`)
+            .call(d3.axisBottom(x)
+                .tickValues(sweep.map(point => point.rate).filter((rate, i) => i % labelEvery === 0))
+                .tickFormat(rate => `${rate}%`)
+                .tickSizeOuter(0));
+
+        svg.append('g')
+            .selectAll('g')
+            .data(stacked)
+            .join('g')
+            .attr('fill', layer => colors[layer.key])
+            .selectAll('rect')
+            .data(layer => layer)
+            .join('rect')
+            .attr('x', (segment, i) => x(sweep[i].rate))
+            .attr('y', segment => y(segment[1]))
+            .attr('height', segment => y(segment[0]) - y(segment[1]))
+            .attr('width', x.bandwidth());
+
+        // Outline the bar nearest the rate currently on the map
+        const nearest = d3.least(sweep, point => Math.abs(point.rate - currentRate));
+        if (Math.abs(nearest.rate - currentRate) < STRESS_RATE_STEP) {
+            svg.append('rect')
+                .attr('x', x(nearest.rate) - 1)
+                .attr('y', margin.top - 1)
+                .attr('width', x.bandwidth() + 2)
+                .attr('height', height - margin.top - margin.bottom + 2)
+                .attr('fill', 'none')
+                .attr('stroke', '#2563eb')
+                .attr('stroke-width', 1.5);
+        }
+
+        // Full-height click targets, with a tooltip listing each band's count
+        svg.append('g')
+            .selectAll('rect')
+            .data(sweep)
+            .join('rect')
+            .attr('x', point => x(point.rate))
+            .attr('y', margin.top)
+            .attr('width', x.bandwidth())
+            .attr('height', height - margin.top - margin.bottom)
+            .attr('fill', 'transparent')
+            .style('cursor', 'pointer')
+            .on('click', (event, point) => {
+                document.getElementById('interestRate').value = point.rate;
+                this.updateMapAndTable();
+            })
+            .append('title')
+            .text(point => [`${point.rate}% interest`, ...bands.map(band => `${band.label}: ${point.counts[band.key]}`)].join('\n'));
+    }
+
+    _setupRegionSummary() {
+        const tabs = { postcodes: 'postcode-view', regions: 'region-view' };
+        Object.entries(tabs).forEach(([tab, view]) => {
+            document.getElementById(`tab-${tab}`).addEventListener('click', () => {
+                Object.entries(tabs).forEach(([otherTab, otherView]) => {
+                    const button = document.getElementById(`tab-${otherTab}`);
+                    const isSelected = otherTab === tab;
+                    button.setAttribute('aria-selected', String(isSelected));
+                    button.classList.toggle('border-blue-600', isSelected);
+                    button.classList.toggle('font-semibold', isSelected);
+                    button.classList.toggle('text-blue-700', isSelected);
+                    button.classList.toggle('border-transparent', !isSelected);
+                    button.classList.toggle('text-gray-600', !isSelected);
+                    document.getElementById(otherView).classList.toggle('hidden', !isSelected);
+                });
+            });
+        });
+
+        ['regionLevel', 'regionMapLayer'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateMapAndTable());
+        });
+        document.getElementById('export-regions').addEventListener('click', () => {
+            const level = document.getElementById('regionLevel').value;
+            this._downloadFile(`${this._getExportName()}-regions-${level.toLowerCase()}.csv`, Papa.unparse(this._getRegionExportRows()), 'text/csv');
+        });
+    }
+
+    // Comparing scenarios takes over the map colours, as it does from the map mode
+    _isRegionLayerShown() {
+        return this.hasRegions && document.getElementById('regionMapLayer').checked && !this.comparison;
+    }
+
+    // Band key for the regional summary, or null for postcodes without data
+    _getSummaryBandKey(data) {
+        const band = this._getAffordabilityBand(data.affordability_percentage, data.weekly_money_leftover);
+        return band === NO_DATA_BAND ? null : band.key;
+    }
+
+    // Colour of a postcode's region under the region map layer, from the region's median affordability
+    _getRegionBand(postcode) {
+        const regions = this.regionLookup[postcode];
+        const summary = regions && this.regionSummaryByName[regions[document.getElementById('regionLevel').value]];
+        if (!summary || summary.medianPercentage === null) return NO_DATA_BAND;
+        return this._applyPalette(this._getAffordabilityBand(summary.medianPercentage, summary.medianLeftover), AFFORDABILITY_BANDS);
+    }
+
+    // Recalculates each region's band counts for the current scenario and redraws the summary table
+    _updateRegionSummary() {
+        const level = document.getElementById('regionLevel').value;
+        const status = document.getElementById('region-status');
+        const tableBody = document.getElementById('region-table-body');
+        tableBody.innerHTML = '';
+        if (!this.hasRegions) return;
+
+        const bandOf = (data) => this._getSummaryBandKey(data);
+        const regionOf = (postcode) => this.regionLookup[postcode] ? this.regionLookup[postcode][level] : null;
+        this.regionSummaries = summariseRegions(this.housingData, regionOf, bandOf);
+        this.regionSummaryByName = Object.fromEntries(this.regionSummaries.map(summary => [summary.region, summary]));
+        const [total] = summariseRegions(this.housingData, postcode => regionOf(postcode) && ALL_REGIONS_LABEL, bandOf);
+
+        status.textContent = `${total ? total.postcodes : 0} postcodes in ${this.regionSummaries.length} regions, ${this.housingType === 'buy' ? 'buying' : 'renting'} under the current scenario. `
+            + 'Postcodes outside your commute limit or below the minimum sample size are left out.';
+
+        const bands = [...AFFORDABILITY_BANDS.map(band => this._applyPalette(band, AFFORDABILITY_BANDS)), NEGATIVE_LEFTOVER_BAND];
+        [total, ...this.regionSummaries].filter(Boolean).forEach(summary => {
+            const row = tableBody.insertRow();
+            row.className = summary === total ? 'font-semibold bg-gray-50' : 'border-t border-gray-100';
+
+            const name = row.insertCell();
+            name.className = 'px-2 py-1';
+            name.textContent = summary.region;
+
+            const count = row.insertCell();
+            count.className = 'px-2 py-1 text-right';
+            count.textContent = summary.postcodes;
+            if (summary.withData < summary.postcodes) count.title = `${summary.postcodes - summary.withData} without data`;
+
+            // Share of postcodes with data in each band, as one stacked bar
+            const bar = row.insertCell();
+            bar.className = 'px-2 py-1';
+            const track = document.createElement('div');
+            track.className = 'flex h-3 w-full rounded-sm overflow-hidden bg-gray-200';
+            bands.forEach(band => {
+                const bandCount = summary.counts[band.key] || 0;
+                if (bandCount === 0) return;
+                const segment = document.createElement('div');
+                segment.style.width = `${bandCount / summary.withData * 100}%`;
+                segment.style.background = band.color;
+                segment.title = `${band.label}: ${bandCount} (${Math.round(bandCount / summary.withData * 100)}%)`;
+                track.appendChild(segment);
+            });
+            bar.appendChild(track);
+
+            const within = row.insertCell();
+            within.className = 'px-2 py-1 text-right';
+            const withinCount = (summary.counts['very-affordable'] || 0) + (summary.counts.affordable || 0);
+            within.textContent = summary.withData > 0 ? `${Math.round(withinCount / summary.withData * 100)}%` : 'N/A';
+
+            const median = row.insertCell();
+            median.className = 'px-2 py-1 text-right';
+            median.textContent = summary.medianPercentage !== null ? `${summary.medianPercentage.toFixed(1)}%` : 'N/A';
+        });
+    }
+
+    // One row per region at the selected level, for the regional summary download
+    _getRegionExportRows() {
+        const level = document.getElementById('regionLevel').value;
+        const bands = [...AFFORDABILITY_BANDS, NEGATIVE_LEFTOVER_BAND];
+        const round = (value, digits = 0) => value !== null ? Number(value.toFixed(digits)) : null;
+        return this.regionSummaries.map(summary => ({
+            region_level: level,
+            region: summary.region,
+            period: this.selectedPeriod,
+            housing_type: this.housingType,
+            postcodes: summary.postcodes,
+            postcodes_with_data: summary.withData,
+            ...Object.fromEntries(bands.map(band => [`postcodes_${band.key.replace(/-/g, '_')}`, summary.counts[band.key] || 0])),
+            share_within_30_percent: summary.withData > 0
+                ? round(((summary.counts['very-affordable'] || 0) + (summary.counts.affordable || 0)) / summary.withData * 100, 1)
+                : null,
+            median_affordability_percentage: round(summary.medianPercentage, 1),
+            median_weekly_money_leftover: round(summary.medianLeftover)
+        }));
+    }
+
+    _setupPinning() {
+        // Popup content is rebuilt on every refresh and cloned on mobile, so pin buttons are handled here
+        document.addEventListener('click', (event) => {
+            const button = event.target.closest('.popup-pin');
+            if (button && !button.disabled) this._togglePin(button.dataset.postcode);
+        });
+    }
+
+    _restorePinnedPostcodes() {
+        const pinned = (this.initialUrlState.get('pinned') || '').split(',');
+        this.pinnedPostcodes = [...new Set(pinned)].filter(postcode => this.housingSeries[postcode]).slice(0, MAX_PINNED_POSTCODES);
+    }
+
+    _togglePin(postcode) {
+        if (this.pinnedPostcodes.includes(postcode)) {
+            this.pinnedPostcodes = this.pinnedPostcodes.filter(pinned => pinned !== postcode);
+        } else if (this.pinnedPostcodes.length < MAX_PINNED_POSTCODES) {
+            this.pinnedPostcodes.push(postcode);
+        } else {
+            return;
+        }
+
+        const layer = this.layersByPostcode[postcode];
+        if (layer) {
+            this.geojsonLayer.resetStyle(layer);
+            this._raisePinnedLayers();
+        }
+        this._updatePinDrawer();
+        this._refreshOpenPopup();
+        this._writeUrlState();
+    }
+
+    // Pinned postcodes side by side under the current settings, marking the most affordable figure in each row
+    _updatePinDrawer() {
+        const container = this.pinDrawerContainer;
+        if (!container) return;
+        container.classList.toggle('hidden', this.pinnedPostcodes.length === 0);
+        container.querySelector('#pin-drawer-title').textContent = `Pinned Postcodes (${this.pinnedPostcodes.length})`;
+
+        const formatCurrency = (value) => value != null ? DOLLAR_FORMAT.format(value) : 'N/A';
+        const formatRange = (low, high) => (low > 0 && high > 0) ? `${DOLLAR_FORMAT.format(low)} – ${DOLLAR_FORMAT.format(high)}` : 'N/A';
+        const toDollars = (value000s) => value000s > 0 ? value000s * 1000 : null;
+        const rows = [
+            { label: 'Median Weekly Rent', value: data => data.yearly_median_weekly_rent > 0 ? data.yearly_median_weekly_rent : null, format: formatCurrency },
+            { label: 'Rent Quartiles', text: data => formatRange(data.yearly_first_quartile_weekly_rent, data.yearly_third_quartile_weekly_rent) },
+            { label: 'Median Sale Price', value: data => toDollars(data.yearly_median_sales_price_000s), format: formatCurrency },
+            {
+                label: 'Sale Price Quartiles',
+                text: data => formatRange(toDollars(data.yearly_first_quartile_sales_000s), toDollars(data.yearly_third_quartile_sales_000s))
+            },
+            {
+                label: `Weekly Cost (${this.housingType === 'buy' ? 'Buying' : 'Renting'})`,
+                value: data => data.weekly_housing_cost > 0 ? data.weekly_housing_cost : null, format: formatCurrency, better: 'low'
+            },
+            {
+                label: '% of Gross Income',
+                value: data => data.affordability_percentage > 0 ? data.affordability_percentage : null, format: value => value != null ? `${value.toFixed(1)}%` : 'N/A', better: 'low'
+            },
+            { label: 'Weekly Money Left Over', value: data => data.weekly_money_leftover, format: formatCurrency, better: 'high' }
+        ];
+
+        const head = container.querySelector('#pin-table-head');
+        head.innerHTML = '';
+        const headRow = head.insertRow();
+        headRow.appendChild(document.createElement('th'));
+        this.pinnedPostcodes.forEach(postcode => {
+            const cell = document.createElement('th');
+            cell.className = 'px-2 text-right align-bottom';
+            cell.innerHTML = `
+                <div class="flex items-center justify-end gap-1">
+                    <button type="button" class="pin-focus font-bold text-blue-700 hover:underline"></button>
+                    <button type="button" class="pin-remove text-gray-400 hover:text-red-600" aria-label="Unpin">×</button>
+                </div>
+                <div class="font-normal text-gray-500 truncate max-w-[7rem]"></div>
+            `;
+            const data = this.housingData[postcode];
+            cell.querySelector('.pin-focus').textContent = data && data.low_confidence ? `${postcode} ⚠` : postcode;
+            cell.querySelector('.pin-focus').title = data && data.low_confidence ? 'Figures may be unreliable; open for details' : 'Show on map';
+            cell.querySelectorAll('button').forEach(button => { button.dataset.postcode = postcode; });
+            const suburbs = this.suburbLookup[postcode] || '';
+            cell.lastElementChild.textContent = suburbs.split(/\s*,\s*/)[0];
+            cell.lastElementChild.title = suburbs;
+            headRow.appendChild(cell);
+        });
+
+        const body = container.querySelector('#pin-table-body');
+        body.innerHTML = '';
+        rows.forEach(row => {
+            const values = this.pinnedPostcodes.map(postcode => {
+                const data = this.housingData[postcode];
+                return data && row.value ? row.value(data) : null;
+            });
+            const candidates = values.filter(value => value != null);
+            const best = row.better && candidates.length > 1
+                ? (row.better === 'low' ? Math.min(...candidates) : Math.max(...candidates))
+                : null;
+
+            const tableRow = body.insertRow();
+            tableRow.className = 'border-t border-gray-100';
+            const label = tableRow.insertCell();
+            label.className = 'pr-2 py-0.5 text-gray-600';
+            label.textContent = row.label;
+            this.pinnedPostcodes.forEach((postcode, index) => {
+                const data = this.housingData[postcode];
+                const cell = tableRow.insertCell();
+                cell.className = 'px-2 py-0.5 text-right font-semibold';
+                if (!data) {
+                    cell.textContent = 'No data';
+                } else {
+                    cell.textContent = row.text ? row.text(data) : row.format(values[index]);
+                }
+                if (best !== null && values[index] === best) cell.classList.add('text-green-700');
+                if (row.better === 'high' && values[index] < 0) cell.classList.add('text-red-700');
+            });
+        });
+
+        // Affordability band, as a swatch like the legend's
+        const bandRow = body.insertRow();
+        bandRow.className = 'border-t border-gray-100';
+        const bandLabel = bandRow.insertCell();
+        bandLabel.className = 'pr-2 py-0.5 text-gray-600';
+        bandLabel.textContent = 'Band';
+        this.pinnedPostcodes.forEach(postcode => {
+            const data = this.housingData[postcode];
+            const band = data ? this._getAffordabilityBand(data.affordability_percentage, data.weekly_money_leftover) : NO_DATA_BAND;
+            const cell = bandRow.insertCell();
+            cell.className = 'px-2 py-0.5 text-right';
+            cell.innerHTML = '<span class="inline-block w-3 h-3 rounded-sm border border-gray-300 align-middle"></span>';
+            cell.firstElementChild.style.background = band.color;
+            cell.title = band.label;
+        });
+    }
+
     _setupMobilePopup() {
         const backButton = document.getElementById('mobile-popup-back');
         const overlay = document.getElementById('mobile-popup-overlay');
@@ -890,6 +2973,7 @@ class HousingAffordabilityMap {
                 this.activePopupLayer = null;
                 this.openPostcode = null;
             }
+            this._writeUrlState();
         });
     }
 
@@ -0,0 +1,532 @@
+#!/usr/bin/env node
+// Builds data/aggregated_yearly_data.csv from the NSW DCJ Rent and Sales report tables.
+//
+// Usage:
+//   node scripts/build_housing_data.mjs [--out file.csv] [--report file.md] [--version file.json] [--geojson file.geojson] <tables...>
+//
+// Inputs are the quarterly "Rent Tables" and "Sales Tables" workbooks (.xlsx) or CSV exports of
+// their Postcode sheets, in any order. Each table is recognised from its headers as rent or sales,
+// and its quarter is read from a Quarter column, the title rows above the table or the file name.
+//
+// Aggregation rules:
+//   - Only NSW postcodes are kept (ACT postcodes and region or total rows are dropped)
+//   - Dwelling types are grouped into House, Unit and Townhouse, and bedrooms into 0 (studio) to 4 (4 or more),
+//     alongside the Total rows; other types and unspecified bedrooms are dropped
+//   - Source categories that land in the same group for a quarter (e.g. "4 bedrooms" and "5+ bedrooms") are
+//     combined like quarters are, and listed in the validation report
+//   - Suppressed or blank values ("s", "-", "") are treated as missing
+//   - A postcode's yearly quartiles are the means of its quarterly quartiles for the calendar year,
+//     weighted by new bonds lodged (rent) or number of sales (sales) when every quarter has a count
+//   - Yearly new bonds and sales counts are the sums of the quarterly counts
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { basename, extname } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { readWorkbook, parseCsv } from './table_reader.mjs';
+
+const DEFAULT_OUTPUT_PATH = 'data/aggregated_yearly_data.csv';
+const DEFAULT_REPORT_PATH = 'data/validation_report.md';
+// Dataset version the map shows, so people using a cached offline copy know how current it is
+const DEFAULT_VERSION_PATH = 'data/version.json';
+const DEFAULT_GEOJSON_PATH = 'data/POA_2021_NSW.geojson';
+
+const OUTPUT_COLUMNS = [
+    'Postcode',
+    'Period',
+    'Dwelling_Type',
+    'Bedrooms',
+    'yearly_median_weekly_rent',
+    'yearly_first_quartile_weekly_rent',
+    'yearly_third_quartile_weekly_rent',
+    'yearly_median_sales_price_000s',
+    'yearly_first_quartile_sales_000s',
+    'yearly_third_quartile_sales_000s',
+    'yearly_new_bonds',
+    'yearly_sales_count'
+];
+
+// NSW postcode ranges, excluding the ACT's 2600-2618 and 2900-2920
+const NSW_POSTCODE_RANGES = [[1000, 2599], [2619, 2899], [2921, 2999]];
+
+const MONTH_QUARTERS = { mar: 1, march: 1, jun: 2, june: 2, sep: 3, sept: 3, september: 3, dec: 4, december: 4 };
+
+const DWELLING_TYPE_ORDER = ['Total', 'House', 'Unit', 'Townhouse'];
+const BEDROOM_ORDER = ['Total', '0', '1', '2', '3', '4'];
+
+// Validation thresholds
+const OUTLIER_ROBUST_Z = 3.5;           // Modified z-score of log medians within a year
+const YEAR_ON_YEAR_CHANGE_LIMIT = 0.5;  // Flag medians that moved more than 50% in a year
+
+// How each kind of table is recognised and which columns it provides
+const TABLE_KINDS = {
+    rent: {
+        detect: header => header.some(cell => /weekly rent|bonds/.test(cell)),
+        countColumn: /bonds/
+    },
+    sales: {
+        detect: header => header.some(cell => /sales/.test(cell)),
+        countColumn: /number of sales|^sales$|count/
+    }
+};
+
+function parseArgs(argv) {
+    const options = { out: DEFAULT_OUTPUT_PATH, report: DEFAULT_REPORT_PATH, version: DEFAULT_VERSION_PATH, geojson: DEFAULT_GEOJSON_PATH, inputs: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (['--out', '--report', '--version', '--geojson'].includes(arg)) {
+            if (!argv[i + 1]) throw new Error(`${arg} needs a file path`);
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.inputs.push(arg);
+        }
+    }
+    return options;
+}
+
+export function isNswPostcode(postcode) {
+    if (!/^\d{4}$/.test(postcode)) return false;
+    const value = Number(postcode);
+    return NSW_POSTCODE_RANGES.some(([low, high]) => value >= low && value <= high);
+}
+
+function normaliseHeader(cell) {
+    return String(cell ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Reads "$1,250", 1250 or "1250.0" as a number; suppressed and blank cells are null
+function parseNumber(cell) {
+    if (typeof cell === 'number') return Number.isFinite(cell) ? cell : null;
+    const text = String(cell ?? '').replace(/[$,\s]/g, '');
+    if (text === '' || !/^-?\d+(\.\d+)?$/.test(text)) return null;
+    return Number(text);
+}
+
+// Accepts "2024-Q1", "Q1 2024", "March Quarter 2024", "Mar-24", "mar_2024" or an Excel date serial
+export function parseQuarter(value) {
+    if (typeof value === 'number' && value > 20000 && value < 80000) {
+        // Excel serial dates count days from 1899-12-30
+        const date = new Date(Date.UTC(1899, 11, 30) + value * 86400000);
+        return { year: date.getUTCFullYear(), quarter: Math.floor(date.getUTCMonth() / 3) + 1 };
+    }
+
+    const text = String(value ?? '').toLowerCase();
+    let match = text.match(/(\d{4})\s*[-_ ]?\s*q([1-4])\b/) || text.match(/\bq([1-4])\s*[-_ ]?\s*(\d{4})/);
+    if (match) {
+        return /^\d{4}$/.test(match[1])
+            ? { year: Number(match[1]), quarter: Number(match[2]) }
+            : { year: Number(match[2]), quarter: Number(match[1]) };
+    }
+
+    match = text.match(/\b(march|mar|june|jun|september|sept|sep|december|dec)(?![a-z])[\s\-_]*(?:quarter[\s\-_]*)?(\d{4}|\d{2})\b/);
+    if (match) {
+        const year = match[2].length === 2 ? 2000 + Number(match[2]) : Number(match[2]);
+        return { year, quarter: MONTH_QUARTERS[match[1]] };
+    }
+    return null;
+}
+
+// Sales tables split strata (units) from non-strata (houses); rent tables name the dwelling type
+function normaliseDwellingType(cell) {
+    const text = String(cell ?? 'total').trim().toLowerCase();
+    if (text === '' || text === 'total') return 'Total';
+    if (/townhouse|terrace/.test(text)) return 'Townhouse';
+    if (/house|non[- ]?strata/.test(text)) return 'House';
+    if (/flat|unit|apartment|strata/.test(text)) return 'Unit';
+    return null;
+}
+
+function normaliseBedrooms(cell) {
+    const text = String(cell ?? 'total').trim().toLowerCase();
+    if (text === '' || text === 'total') return 'Total';
+    if (/bedsit|studio/.test(text)) return '0';
+    const count = parseInt(text, 10);
+    return Number.isFinite(count) ? String(Math.min(4, count)) : null;
+}
+
+function findColumn(header, pattern, exclude = /change|mean/) {
+    return header.findIndex(cell => pattern.test(cell) && !exclude.test(cell));
+}
+
+// Finds the postcode table in a sheet and returns its quarterly rows, or null if the sheet has none
+function extractTable(rows, fileName) {
+    const headerIndex = rows.findIndex(row => {
+        const header = row.map(normaliseHeader);
+        return header.some(cell => /^postcode/.test(cell)) && header.some(cell => /median/.test(cell));
+    });
+    if (headerIndex === -1) return null;
+
+    const header = rows[headerIndex].map(normaliseHeader);
+    const kind = Object.keys(TABLE_KINDS).find(name => TABLE_KINDS[name].detect(header));
+    if (!kind) return null;
+
+    const columns = {
+        postcode: findColumn(header, /^postcode/),
+        dwellingType: findColumn(header, /dwelling/),
+        bedrooms: findColumn(header, /bedroom/),
+        quarter: findColumn(header, /^(quarter|period)\b/),
+        firstQuartile: findColumn(header, /first quartile/),
+        median: findColumn(header, /median/),
+        thirdQuartile: findColumn(header, /third quartile/),
+        count: findColumn(header, TABLE_KINDS[kind].countColumn, /change|median|quartile|mean/)
+    };
+    // Sales tables are normally in $'000s; convert any that are in whole dollars
+    const salesInDollars = kind === 'sales' && !/000/.test(header[columns.median]);
+
+    // Without a Quarter column, the quarter comes from the title rows or the file name
+    let tableQuarter = null;
+    if (columns.quarter === -1) {
+        const titleText = rows.slice(0, headerIndex).flat().filter(cell => cell != null).join(' ');
+        tableQuarter = parseQuarter(titleText) || parseQuarter(fileName.replace(/[-_]/g, ' '));
+        if (!tableQuarter) {
+            throw new Error(`${fileName}: could not tell which quarter this ${kind} table covers; add the quarter to the file name, e.g. ${kind}-2024-Q1.csv`);
+        }
+    }
+
+    const records = [];
+    let suppressed = 0;
+
+    rows.slice(headerIndex + 1).forEach(row => {
+        const category = [columns.dwellingType, columns.bedrooms]
+            .map(index => index === -1 ? 'Total' : String(row[index] ?? 'Total').trim())
+            .join(', ');
+        const postcode = String(row[columns.postcode] ?? '').trim().replace(/\.0$/, '');
+        const dwellingType = normaliseDwellingType(columns.dwellingType === -1 ? null : row[columns.dwellingType]);
+        const bedrooms = normaliseBedrooms(columns.bedrooms === -1 ? null : row[columns.bedrooms]);
+        if (!isNswPostcode(postcode) || !dwellingType || !bedrooms) return;
+
+        const quarter = tableQuarter || parseQuarter(row[columns.quarter]);
+        if (!quarter) return;
+
+        const read = index => {
+            if (index === -1) return null;
+            const value = parseNumber(row[index]);
+            if (value === null && row[index] != null && String(row[index]).trim() !== '') suppressed++;
+            return value !== null && salesInDollars && index !== columns.count ? value / 1000 : value;
+        };
+
+        records.push({
+            fileName,
+            category,
+            postcode,
+            dwellingType,
+            bedrooms,
+            year: quarter.year,
+            quarter: quarter.quarter,
+            firstQuartile: read(columns.firstQuartile),
+            median: read(columns.median),
+            thirdQuartile: read(columns.thirdQuartile),
+            count: read(columns.count)
+        });
+    });
+
+    return { kind, records, suppressed };
+}
+
+export function readTables(path) {
+    const fileName = basename(path);
+    const extension = extname(path).toLowerCase();
+    let sheets;
+    if (extension === '.xlsx') {
+        sheets = readWorkbook(readFileSync(path));
+        // Workbooks hold several geographies; prefer the postcode sheet when there is one
+        const postcodeSheets = sheets.filter(sheet => /postcode/i.test(sheet.name));
+        if (postcodeSheets.length > 0) sheets = postcodeSheets;
+    } else if (extension === '.csv') {
+        sheets = [{ name: fileName, rows: parseCsv(readFileSync(path, 'utf8')) }];
+    } else {
+        throw new Error(`${fileName}: expected an .xlsx workbook or .csv export`);
+    }
+
+    const tables = sheets.map(sheet => extractTable(sheet.rows, fileName)).filter(Boolean);
+    if (tables.length === 0) throw new Error(`${fileName}: no postcode rent or sales table found`);
+    return tables.map(table => ({ ...table, fileName }));
+}
+
+// Weighted by counts only when every record has one, otherwise a plain mean
+function weightedMean(records, field) {
+    const values = records.filter(record => record[field] !== null);
+    if (values.length === 0) return null;
+
+    const weighted = values.every(record => record.count > 0);
+    const totalWeight = values.reduce((sum, record) => sum + (weighted ? record.count : 1), 0);
+    return values.reduce((sum, record) => sum + record[field] * (weighted ? record.count : 1), 0) / totalWeight;
+}
+
+export function aggregateQuarters(quarters, field) {
+    const mean = weightedMean(quarters, field);
+    return mean === null ? null : Math.round(mean * 10) / 10;
+}
+
+// One quarter's record from several source categories in the same group, e.g. "4 bedrooms" and "5+ bedrooms"
+function combineCategories(records) {
+    const counts = records.map(record => record.count);
+    return {
+        ...records[0],
+        category: records.map(record => record.category).join('; '),
+        firstQuartile: weightedMean(records, 'firstQuartile'),
+        median: weightedMean(records, 'median'),
+        thirdQuartile: weightedMean(records, 'thirdQuartile'),
+        count: counts.every(count => count !== null) ? counts.reduce((sum, count) => sum + count, 0) : null
+    };
+}
+
+// Yearly figures per postcode, year, dwelling type and bedrooms. Groups where several source categories
+// were combined are added to `merged` for the validation report.
+export function aggregateYearly(records, merged = []) {
+    const groups = new Map();
+    records.forEach(record => {
+        const key = `${record.postcode}|${record.year}|${record.dwellingType}|${record.bedrooms}`;
+        if (!groups.has(key)) groups.set(key, new Map());
+        const byQuarter = groups.get(key);
+        const sources = byQuarter.get(record.quarter);
+        // A later file for the same quarter replaces an earlier one (e.g. a revised release)
+        if (!sources || sources[0].fileName !== record.fileName) {
+            byQuarter.set(record.quarter, [record]);
+        } else {
+            sources.push(record);
+        }
+    });
+
+    const yearly = new Map();
+    groups.forEach((byQuarter, key) => {
+        const quarters = [...byQuarter.values()].map(sources => {
+            if (sources.length === 1) return sources[0];
+            merged.push({ key, quarter: sources[0].quarter, categories: sources.map(record => record.category) });
+            return combineCategories(sources);
+        });
+        const counts = quarters.map(q => q.count).filter(count => count !== null);
+        yearly.set(key, {
+            quarters: quarters.map(q => q.quarter).sort(),
+            firstQuartile: aggregateQuarters(quarters, 'firstQuartile'),
+            median: aggregateQuarters(quarters, 'median'),
+            thirdQuartile: aggregateQuarters(quarters, 'thirdQuartile'),
+            count: counts.length > 0 ? counts.reduce((sum, count) => sum + count, 0) : null
+        });
+    });
+    return yearly;
+}
+
+function buildRows(rentByYear, salesByYear) {
+    // Postcode, then year, then the Total row ahead of its breakdowns
+    const sortKey = key => {
+        const [postcode, year, dwellingType, bedrooms] = key.split('|');
+        return [postcode, year, DWELLING_TYPE_ORDER.indexOf(dwellingType), BEDROOM_ORDER.indexOf(bedrooms)];
+    };
+    const keys = [...new Set([...rentByYear.keys(), ...salesByYear.keys()])].sort((a, b) => {
+        const keyA = sortKey(a);
+        const keyB = sortKey(b);
+        return keyA[0].localeCompare(keyB[0]) || keyA[1].localeCompare(keyB[1]) || keyA[2] - keyB[2] || keyA[3] - keyB[3];
+    });
+
+    return keys.map(key => {
+        const [postcode, year, dwellingType, bedrooms] = key.split('|');
+        const rent = rentByYear.get(key) || {};
+        const sales = salesByYear.get(key) || {};
+        return {
+            Postcode: postcode,
+            Period: year,
+            Dwelling_Type: dwellingType,
+            Bedrooms: bedrooms,
+            yearly_median_weekly_rent: rent.median ?? null,
+            yearly_first_quartile_weekly_rent: rent.firstQuartile ?? null,
+            yearly_third_quartile_weekly_rent: rent.thirdQuartile ?? null,
+            yearly_median_sales_price_000s: sales.median ?? null,
+            yearly_first_quartile_sales_000s: sales.firstQuartile ?? null,
+            yearly_third_quartile_sales_000s: sales.thirdQuartile ?? null,
+            yearly_new_bonds: rent.count ?? null,
+            yearly_sales_count: sales.count ?? null
+        };
+    });
+}
+
+function toCsv(rows) {
+    const lines = [OUTPUT_COLUMNS.join(',')];
+    rows.forEach(row => {
+        lines.push(OUTPUT_COLUMNS.map(column => row[column] ?? '').join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+// Modified z-scores of log values (Iglewicz and Hoaglin), robust to the skew of housing prices
+function findOutliers(rows, field) {
+    const outliers = [];
+    const byPeriod = new Map();
+    rows.filter(row => row[field] > 0).forEach(row => {
+        if (!byPeriod.has(row.Period)) byPeriod.set(row.Period, []);
+        byPeriod.get(row.Period).push(row);
+    });
+    byPeriod.forEach(periodRows => {
+        const logs = periodRows.map(row => Math.log(row[field]));
+        const median = medianOf(logs);
+        const mad = medianOf(logs.map(value => Math.abs(value - median)));
+        if (mad === 0) return;
+        periodRows.forEach((row, index) => {
+            const score = 0.6745 * (logs[index] - median) / mad;
+            if (Math.abs(score) > OUTLIER_ROBUST_Z) outliers.push({ row, score });
+        });
+    });
+    return outliers;
+}
+
+function medianOf(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function buildReport({ inputs, rows: allRows, rentByYear, salesByYear, merged, suppressed, geojsonPostcodes }) {
+    const lines = ['# Housing Data Validation Report', ''];
+    // Checks below cover the all-dwellings rows that colour the map by default
+    const rows = allRows.filter(row => row.Dwelling_Type === 'Total' && row.Bedrooms === 'Total');
+    const periods = [...new Set(rows.map(row => row.Period))].sort();
+    const postcodes = new Set(rows.map(row => row.Postcode));
+    const list = (items, format) => {
+        if (items.length === 0) {
+            lines.push('None.', '');
+            return;
+        }
+        items.forEach(item => lines.push(`- ${format(item)}`));
+        lines.push('');
+    };
+
+    lines.push('## Summary', '');
+    lines.push(`- Input tables: ${inputs.length}`);
+    inputs.forEach(input => lines.push(`  - ${input.fileName}: ${input.kind}, ${input.records.length} postcode rows`));
+    lines.push(`- Periods: ${periods.join(', ') || 'none'}`);
+    lines.push(`- Postcodes: ${postcodes.size}`);
+    lines.push(`- Output rows: ${allRows.length} (${allRows.length - rows.length} dwelling type or bedroom breakdowns)`);
+    lines.push(`- Suppressed or non-numeric quarterly values: ${suppressed}`, '');
+
+    lines.push('## Incomplete Years', '');
+    lines.push('Years aggregated from fewer than four quarters of data.', '');
+    const incomplete = [];
+    [['rent', rentByYear], ['sales', salesByYear]].forEach(([kind, byYear]) => {
+        const quartersByYear = new Map();
+        byYear.forEach((value, key) => {
+            const year = key.split('|')[1];
+            value.quarters.forEach(quarter => {
+                if (!quartersByYear.has(year)) quartersByYear.set(year, new Set());
+                quartersByYear.get(year).add(quarter);
+            });
+        });
+        quartersByYear.forEach((quarters, year) => {
+            if (quarters.size < 4) incomplete.push(`${kind} ${year}: quarters ${[...quarters].sort().map(q => `Q${q}`).join(', ')}`);
+        });
+    });
+    list(incomplete.sort(), item => item);
+
+    lines.push('## Merged Categories', '');
+    lines.push('Source categories combined into one dwelling type or bedroom group, with counts summed and quartiles weighted by them.', '');
+    list(['rent', 'sales'].flatMap(kind => merged[kind].map(merge => ({ kind, ...merge }))), ({ kind, key, quarter, categories }) => {
+        const [postcode, year, dwellingType, bedrooms] = key.split('|');
+        return `${postcode} ${year}-Q${quarter} ${kind} (${dwellingType}, ${bedrooms} bedrooms): ${categories.map(category => `"${category}"`).join(', ')}`;
+    });
+
+    lines.push('## Gaps', '');
+    lines.push('Postcode years with no usable median rent or sale price.', '');
+    list(rows.filter(row => row.yearly_median_weekly_rent === null || row.yearly_median_sales_price_000s === null),
+        row => `${row.Postcode} (${row.Period}): missing ${[
+            row.yearly_median_weekly_rent === null && 'rent',
+            row.yearly_median_sales_price_000s === null && 'sales'
+        ].filter(Boolean).join(' and ')}`);
+
+    if (geojsonPostcodes) {
+        lines.push('## Map Coverage', '');
+        lines.push('Postcodes with data but no boundary, which will not appear on the map.', '');
+        list([...postcodes].filter(postcode => !geojsonPostcodes.has(postcode)).sort(), postcode => postcode);
+        lines.push('Postcode boundaries with no data in the latest period.', '');
+        const latest = new Set(rows.filter(row => row.Period === periods[periods.length - 1]).map(row => row.Postcode));
+        list([...geojsonPostcodes].filter(postcode => !latest.has(postcode)).sort(), postcode => postcode);
+    }
+
+    lines.push('## Quartile Order', '');
+    lines.push('Rows where the first quartile, median and third quartile are not in ascending order.', '');
+    const unordered = [];
+    rows.forEach(row => {
+        [['rent', 'yearly_first_quartile_weekly_rent', 'yearly_median_weekly_rent', 'yearly_third_quartile_weekly_rent'],
+            ['sales', 'yearly_first_quartile_sales_000s', 'yearly_median_sales_price_000s', 'yearly_third_quartile_sales_000s']]
+            .forEach(([kind, q1, median, q3]) => {
+                const values = [row[q1], row[median], row[q3]];
+                if (values.every(value => value !== null) && !(values[0] <= values[1] && values[1] <= values[2])) {
+                    unordered.push(`${row.Postcode} (${row.Period}) ${kind}: ${values.join(' / ')}`);
+                }
+            });
+    });
+    list(unordered, item => item);
+
+    lines.push('## Outliers', '');
+    lines.push(`Medians more than ${OUTLIER_ROBUST_Z} robust standard deviations from the median of all postcodes in the same year.`, '');
+    list([
+        ...findOutliers(rows, 'yearly_median_weekly_rent').map(({ row, score }) => `${row.Postcode} (${row.Period}) rent $${row.yearly_median_weekly_rent}/week, z = ${score.toFixed(1)}`),
+        ...findOutliers(rows, 'yearly_median_sales_price_000s').map(({ row, score }) => `${row.Postcode} (${row.Period}) sales $${row.yearly_median_sales_price_000s}k, z = ${score.toFixed(1)}`)
+    ], item => item);
+
+    lines.push('## Large Year-on-Year Changes', '');
+    lines.push(`Medians that changed by more than ${YEAR_ON_YEAR_CHANGE_LIMIT * 100}% from the previous year.`, '');
+    const changes = [];
+    const previous = new Map();
+    rows.forEach(row => {
+        const prior = previous.get(row.Postcode);
+        if (prior && Number(row.Period) === Number(prior.Period) + 1) {
+            [['rent', 'yearly_median_weekly_rent'], ['sales', 'yearly_median_sales_price_000s']].forEach(([kind, field]) => {
+                if (prior[field] > 0 && row[field] > 0) {
+                    const change = row[field] / prior[field] - 1;
+                    if (Math.abs(change) > YEAR_ON_YEAR_CHANGE_LIMIT) {
+                        changes.push(`${row.Postcode} ${kind} ${prior.Period} → ${row.Period}: ${prior[field]} → ${row[field]} (${(change * 100).toFixed(0)}%)`);
+                    }
+                }
+            });
+        }
+        previous.set(row.Postcode, row);
+    });
+    list(changes, item => item);
+
+    return lines.join('\n');
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help || options.inputs.length === 0) {
+        console.log('Usage: node scripts/build_housing_data.mjs [--out file.csv] [--report file.md] [--version file.json] [--geojson file.geojson] <rent and sales tables (.xlsx or .csv)...>');
+        return;
+    }
+
+    const inputs = options.inputs.flatMap(readTables);
+    const recordsOf = kind => inputs.filter(input => input.kind === kind).flatMap(input => input.records);
+    const merged = { rent: [], sales: [] };
+    const rentByYear = aggregateYearly(recordsOf('rent'), merged.rent);
+    const salesByYear = aggregateYearly(recordsOf('sales'), merged.sales);
+    const rows = buildRows(rentByYear, salesByYear);
+    if (rows.length === 0) throw new Error('No NSW postcode rows found in the input tables');
+
+    const geojsonPostcodes = existsSync(options.geojson)
+        ? new Set(JSON.parse(readFileSync(options.geojson, 'utf8')).features.map(feature => String(feature.properties.POA_CODE21)))
+        : null;
+
+    writeFileSync(options.out, toCsv(rows));
+    writeFileSync(options.report, buildReport({
+        inputs,
+        rows,
+        rentByYear,
+        salesByYear,
+        merged,
+        suppressed: inputs.reduce((sum, input) => sum + input.suppressed, 0),
+        geojsonPostcodes
+    }));
+    writeFileSync(options.version, JSON.stringify({ version: new Date().toISOString().slice(0, 10) }, null, 2) + '\n');
+    console.log(`Wrote ${rows.length} rows to ${options.out}, the validation report to ${options.report} and the dataset version to ${options.version}`);
+}
+
+// Only run when invoked directly, so the tests can import the helpers above
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
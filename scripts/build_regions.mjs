@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+// Builds data/postcode_to_regions.csv, the regions the map's regional summary rolls postcodes up into.
+//
+// Usage:
+//   node scripts/build_regions.mjs --poa-sa2 file --sa2 file --poa-lga file [--out file.csv] [--geojson file.geojson]
+//
+// Inputs are ABS ASGS Edition 3 files, as .csv or .xlsx:
+//   --poa-sa2  Postcode (POA) to SA2 correspondence, e.g. CG_POA_2021_SA2_2021
+//   --sa2      SA2 allocation file, giving each SA2's SA4 and Greater Capital City Statistical Area, e.g. SA2_2021_AUST
+//   --poa-lga  Postcode (POA) to LGA correspondence, e.g. CG_POA_2021_LGA_2021
+//
+// A postcode spanning several regions is assigned to the one holding the largest share of it, using the
+// correspondences' RATIO_FROM_TO (the share of the postcode's population in each SA2 or LGA). Only postcodes
+// in the boundary file are kept, so the output matches the map.
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { basename, extname } from 'node:path';
+import { readWorkbook, parseCsv } from './table_reader.mjs';
+
+const DEFAULT_OUTPUT_PATH = 'data/postcode_to_regions.csv';
+const DEFAULT_GEOJSON_PATH = 'data/POA_2021_NSW.geojson';
+
+const OUTPUT_COLUMNS = ['Postcode', 'Greater_Capital', 'SA4', 'LGA'];
+
+// Columns read from each input, matched on the start of their headers so other editions' year suffixes still match
+const COLUMNS = {
+    poaSa2: { postcode: 'poa_code', sa2: 'sa2_code', ratio: 'ratio_from_to' },
+    sa2: { sa2: 'sa2_code', sa4: 'sa4_name', greaterCapital: 'gccsa_name' },
+    poaLga: { postcode: 'poa_code', lga: 'lga_name', ratio: 'ratio_from_to' }
+};
+
+function parseArgs(argv) {
+    const options = { out: DEFAULT_OUTPUT_PATH, geojson: DEFAULT_GEOJSON_PATH };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (['--poa-sa2', '--sa2', '--poa-lga', '--out', '--geojson'].includes(arg)) {
+            if (!argv[i + 1]) throw new Error(`${arg} needs a file path`);
+            options[arg.slice(2)] = argv[++i];
+        } else {
+            throw new Error(`Unknown option ${arg}`);
+        }
+    }
+    return options;
+}
+
+// Rows of the first sheet with a header row holding every wanted column, as objects keyed like `columns`
+function readRecords(path, columns) {
+    const fileName = basename(path);
+    const extension = extname(path).toLowerCase();
+    let sheets;
+    if (extension === '.xlsx') {
+        sheets = readWorkbook(readFileSync(path));
+    } else if (extension === '.csv') {
+        sheets = [{ name: fileName, rows: parseCsv(readFileSync(path, 'utf8')) }];
+    } else {
+        throw new Error(`${fileName}: expected an .xlsx workbook or .csv file`);
+    }
+
+    for (const sheet of sheets) {
+        // ABS workbooks put a title and notes above the header row
+        for (let headerIndex = 0; headerIndex < Math.min(sheet.rows.length, 20); headerIndex++) {
+            const header = sheet.rows[headerIndex].map(cell => String(cell ?? '').trim().toLowerCase());
+            const indexes = Object.fromEntries(Object.entries(columns).map(([key, prefix]) => [key, header.findIndex(cell => cell.startsWith(prefix))]));
+            if (Object.values(indexes).some(index => index === -1)) continue;
+
+            return sheet.rows.slice(headerIndex + 1)
+                .map(row => Object.fromEntries(Object.entries(indexes).map(([key, index]) => [key, row[index]])))
+                .filter(record => Object.values(record).every(value => value !== null && value !== undefined && value !== ''));
+        }
+    }
+    throw new Error(`${fileName}: no table with columns ${Object.values(columns).join(', ')}`);
+}
+
+// Postcodes are written "2000" or "POA2000"
+function parsePostcode(value) {
+    const match = String(value).match(/\d{4}/);
+    return match ? match[0] : null;
+}
+
+// The region with the largest summed share of each postcode
+function assignLargestShare(records, regionOf) {
+    const shares = new Map();
+    records.forEach(record => {
+        const postcode = parsePostcode(record.postcode);
+        const region = regionOf(record);
+        if (!postcode || !region) return;
+        if (!shares.has(postcode)) shares.set(postcode, new Map());
+        const regions = shares.get(postcode);
+        regions.set(region, (regions.get(region) || 0) + Number(record.ratio));
+    });
+
+    const assigned = new Map();
+    shares.forEach((regions, postcode) => {
+        const [region] = [...regions].reduce((best, entry) => entry[1] > best[1] ? entry : best);
+        assigned.set(postcode, region);
+    });
+    return assigned;
+}
+
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help || !options['poa-sa2'] || !options.sa2 || !options['poa-lga']) {
+        console.log('Usage: node scripts/build_regions.mjs --poa-sa2 file --sa2 file --poa-lga file [--out file.csv] [--geojson file.geojson]');
+        return;
+    }
+
+    const sa2Regions = new Map(readRecords(options.sa2, COLUMNS.sa2).map(record => [String(record.sa2), record]));
+    const poaSa2 = readRecords(options['poa-sa2'], COLUMNS.poaSa2);
+    const sa4ByPostcode = assignLargestShare(poaSa2, record => sa2Regions.get(String(record.sa2))?.sa4);
+    const greaterCapitalByPostcode = assignLargestShare(poaSa2, record => sa2Regions.get(String(record.sa2))?.greaterCapital);
+    const lgaByPostcode = assignLargestShare(readRecords(options['poa-lga'], COLUMNS.poaLga), record => record.lga);
+
+    const mapPostcodes = existsSync(options.geojson)
+        ? new Set(JSON.parse(readFileSync(options.geojson, 'utf8')).features.map(feature => String(feature.properties.POA_CODE21)))
+        : null;
+    const postcodes = [...new Set([...sa4ByPostcode.keys(), ...lgaByPostcode.keys()])]
+        .filter(postcode => !mapPostcodes || mapPostcodes.has(postcode))
+        .sort();
+    if (postcodes.length === 0) throw new Error('No postcodes matched between the correspondences and the boundary file');
+
+    const lines = [OUTPUT_COLUMNS.join(',')];
+    postcodes.forEach(postcode => {
+        lines.push([postcode, greaterCapitalByPostcode.get(postcode), sa4ByPostcode.get(postcode), lgaByPostcode.get(postcode)].map(csvField).join(','));
+    });
+    writeFileSync(options.out, lines.join('\n') + '\n');
+
+    const missing = mapPostcodes ? [...mapPostcodes].filter(postcode => !postcodes.includes(postcode)) : [];
+    console.log(`Wrote ${postcodes.length} postcodes to ${options.out}`);
+    if (missing.length > 0) {
+        console.log(`No region found for ${missing.length} map postcodes: ${missing.sort().join(', ')}`);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+}
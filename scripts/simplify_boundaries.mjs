@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+// Writes a lighter copy of the postcode boundaries for the map's first load, and the outline of NSW
+// (coast and state border) the map draws when basemap tiles can't be fetched.
+//
+// Usage:
+//   node scripts/simplify_boundaries.mjs [--in file.geojson] [--out file.geojson] [--outline file.geojson] [--tolerance degrees]
+//
+// Neighbouring postcodes share their borders point for point, so each border is simplified once and
+// both sides keep the same points: rings are split into arcs at points where the set of postcodes
+// sharing them changes, each arc is simplified with Douglas-Peucker, and arc ends are never dropped.
+// Islands and holes that collapse below a triangle are dropped, but every postcode keeps its largest
+// polygon. Coordinates are rounded to 5 decimal places (about 1 m). The outline is made of the simplified
+// edges that belong to only one postcode.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+
+const DEFAULT_INPUT_PATH = 'data/POA_2021_NSW.geojson';
+const DEFAULT_OUTPUT_PATH = 'data/POA_2021_NSW.simplified.geojson';
+const DEFAULT_OUTLINE_PATH = 'data/nsw_outline.geojson';
+const DEFAULT_TOLERANCE = 0.0005;   // Degrees, about 50 m: under a pixel up to suburb-level zoom
+const OUTLINE_TOLERANCE = 0.002;    // The outline only stands in for the basemap, so it can be coarser
+// Borders digitised with different points on each side don't share edges; an unshared edge this close
+// (in degrees, about 100 m) to another postcode's edge is one of those borders rather than the coast
+const BORDER_MATCH_DISTANCE = 0.001;
+// Outline pieces spanning less than this (in degrees, about 5 km) are left over from such borders or are tiny islands
+const MIN_OUTLINE_SPAN = 0.05;
+const COORDINATE_PRECISION = 5;
+
+function parseArgs(argv) {
+    const options = { in: DEFAULT_INPUT_PATH, out: DEFAULT_OUTPUT_PATH, outline: DEFAULT_OUTLINE_PATH, tolerance: DEFAULT_TOLERANCE };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (['--in', '--out', '--outline', '--tolerance'].includes(arg)) {
+            if (!argv[i + 1]) throw new Error(`${arg} needs a value`);
+            options[arg.slice(2)] = argv[++i];
+        } else {
+            throw new Error(`Unknown option ${arg}`);
+        }
+    }
+    options.tolerance = Number(options.tolerance);
+    if (!(options.tolerance >= 0)) throw new Error('--tolerance must be a number of degrees, 0 or more');
+    return options;
+}
+
+// Every ring of a feature's geometry as [polygonIndex, ringIndex, coordinates]
+function* featureRings(geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    for (const [polygonIndex, polygon] of polygons.entries()) {
+        for (const [ringIndex, ring] of polygon.entries()) {
+            yield [polygonIndex, ringIndex, ring];
+        }
+    }
+}
+
+const round = value => Number(value.toFixed(COORDINATE_PRECISION));
+const pointKey = ([x, y]) => `${x},${y}`;
+
+// Rounds a ring and drops repeated points, keeping it closed
+function cleanRing(ring) {
+    const points = [];
+    for (const coordinate of ring) {
+        const point = [round(coordinate[0]), round(coordinate[1])];
+        const last = points[points.length - 1];
+        if (!last || last[0] !== point[0] || last[1] !== point[1]) points.push(point);
+    }
+    if (points.length > 1 && pointKey(points[0]) === pointKey(points[points.length - 1])) points.pop();
+    return points;
+}
+
+// Points where arcs must end: ring starts, and points whose set of rings differs from a neighbour's
+function findJunctions(rings) {
+    const ringsAtPoint = new Map();
+    rings.forEach((ring, ringId) => {
+        for (const point of ring) {
+            const key = pointKey(point);
+            if (!ringsAtPoint.has(key)) ringsAtPoint.set(key, new Set());
+            ringsAtPoint.get(key).add(ringId);
+        }
+    });
+    const signature = key => [...ringsAtPoint.get(key)].sort((a, b) => a - b).join(',');
+
+    const junctions = new Set();
+    for (const ring of rings) {
+        if (ring.length === 0) continue;
+        junctions.add(pointKey(ring[0]));
+        ring.forEach((point, i) => {
+            const key = pointKey(point);
+            const previous = pointKey(ring[(i - 1 + ring.length) % ring.length]);
+            const next = pointKey(ring[(i + 1) % ring.length]);
+            if (signature(key) !== signature(previous) || signature(key) !== signature(next)) {
+                junctions.add(key);
+            }
+        });
+    }
+    return junctions;
+}
+
+function perpendicularDistance([x, y], [x1, y1], [x2, y2]) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+    if (lengthSquared === 0) return Math.hypot(x - x1, y - y1);
+    const t = Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared));
+    return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+}
+
+function douglasPeucker(points, tolerance) {
+    const keep = new Array(points.length).fill(false);
+    keep[0] = keep[points.length - 1] = true;
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [start, end] = stack.pop();
+        let farthest = -1, farthestDistance = tolerance;
+        for (let i = start + 1; i < end; i++) {
+            const distance = perpendicularDistance(points[i], points[start], points[end]);
+            if (distance > farthestDistance) {
+                farthest = i;
+                farthestDistance = distance;
+            }
+        }
+        if (farthest !== -1) {
+            keep[farthest] = true;
+            stack.push([start, farthest], [farthest, end]);
+        }
+    }
+    return points.filter((point, i) => keep[i]);
+}
+
+// Simplifies an arc the same way whichever direction a ring walks it, so both neighbours agree
+function simplifyArc(arc, tolerance) {
+    const reversed = pointKey(arc[0]) > pointKey(arc[arc.length - 1]);
+    const ordered = reversed ? [...arc].reverse() : arc;
+    const simplified = douglasPeucker(ordered, tolerance);
+    return reversed ? simplified.reverse() : simplified;
+}
+
+function simplifyRing(ring, junctions, tolerance) {
+    const closed = [...ring, ring[0]];
+    const simplified = [];
+    let arcStart = 0;
+    for (let i = 1; i < closed.length; i++) {
+        if (junctions.has(pointKey(closed[i])) || i === closed.length - 1) {
+            const arc = simplifyArc(closed.slice(arcStart, i + 1), tolerance);
+            simplified.push(...arc.slice(0, -1));
+            arcStart = i;
+        }
+    }
+    simplified.push(simplified[0]);
+    return simplified;
+}
+
+function ringArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return Math.abs(area) / 2;
+}
+
+/**
+ * Simplifies a FeatureCollection of postcode polygons, keeping shared borders shared.
+ * @param {Object} geojson - FeatureCollection of Polygon and MultiPolygon features
+ * @param {number} tolerance - Largest distance, in degrees, a dropped point may sit from the simplified line
+ * @returns {Object} A new FeatureCollection with the same features and properties
+ */
+function simplifyBoundaries(geojson, tolerance) {
+    const rings = [];
+    const ringIds = geojson.features.map(feature => {
+        if (!feature.geometry) return [];
+        return [...featureRings(feature.geometry)].map(([polygonIndex, ringIndex, ring]) => {
+            rings.push(cleanRing(ring));
+            return { polygonIndex, ringIndex, ringId: rings.length - 1 };
+        });
+    });
+    const junctions = findJunctions(rings);
+
+    const features = geojson.features.map((feature, featureIndex) => {
+        if (!feature.geometry) return feature;
+
+        const polygons = [];
+        for (const { polygonIndex, ringIndex, ringId } of ringIds[featureIndex]) {
+            if (rings[ringId].length < 3) continue;
+            const ring = simplifyRing(rings[ringId], junctions, tolerance);
+            if (ringIndex === 0) {
+                polygons[polygonIndex] = [ring];
+            } else if (polygons[polygonIndex] && ring.length >= 4) {
+                polygons[polygonIndex].push(ring);
+            }
+        }
+
+        // Drop slivers that collapsed, but never a postcode's largest polygon
+        const kept = polygons.filter(Boolean);
+        const largest = kept.reduce((best, polygon) => ringArea(polygon[0]) > ringArea(best[0]) ? polygon : best, kept[0]);
+        const visible = kept.filter(polygon => polygon === largest || polygon[0].length >= 4);
+
+        return {
+            type: 'Feature',
+            properties: feature.properties,
+            geometry: visible.length === 1
+                ? { type: 'Polygon', coordinates: visible[0] }
+                : { type: 'MultiPolygon', coordinates: visible }
+        };
+    });
+
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Traces the outer edges of a set of postcodes: edges no two postcodes share, joined into lines.
+ * Expects boundaries from simplifyBoundaries, where shared borders mostly have identical points.
+ * @param {Object} geojson - FeatureCollection of Polygon and MultiPolygon features
+ * @returns {Object} A FeatureCollection with one MultiLineString feature
+ */
+function buildOutline(geojson) {
+    const edgeKey = (a, b) => a < b ? `${a}|${b}` : `${b}|${a}`;
+    const edges = new Map();
+    geojson.features.forEach((feature, featureIndex) => {
+        if (!feature.geometry) return;
+        for (const [, , ring] of featureRings(feature.geometry)) {
+            for (let i = 0; i < ring.length - 1; i++) {
+                const key = edgeKey(pointKey(ring[i]), pointKey(ring[i + 1]));
+                const edge = edges.get(key);
+                if (edge) {
+                    edge.count++;
+                } else {
+                    edges.set(key, { from: ring[i], to: ring[i + 1], count: 1, featureIndex });
+                }
+            }
+        }
+    });
+    const unshared = [...edges.values()].filter(edge => edge.count === 1);
+
+    // Index unshared edges on a grid so each edge is only compared with its neighbours
+    const cellSize = 0.01;
+    const cellKey = (x, y) => `${Math.floor(x / cellSize)},${Math.floor(y / cellSize)}`;
+    const grid = new Map();
+    for (const edge of unshared) {
+        const [minX, maxX] = [Math.min(edge.from[0], edge.to[0]), Math.max(edge.from[0], edge.to[0])];
+        const [minY, maxY] = [Math.min(edge.from[1], edge.to[1]), Math.max(edge.from[1], edge.to[1])];
+        for (let x = Math.floor((minX - BORDER_MATCH_DISTANCE) / cellSize); x <= Math.floor((maxX + BORDER_MATCH_DISTANCE) / cellSize); x++) {
+            for (let y = Math.floor((minY - BORDER_MATCH_DISTANCE) / cellSize); y <= Math.floor((maxY + BORDER_MATCH_DISTANCE) / cellSize); y++) {
+                const key = `${x},${y}`;
+                if (!grid.has(key)) grid.set(key, []);
+                grid.get(key).push(edge);
+            }
+        }
+    }
+    const isOuterEdge = (edge) => {
+        const midpoint = [(edge.from[0] + edge.to[0]) / 2, (edge.from[1] + edge.to[1]) / 2];
+        return !grid.get(cellKey(...midpoint)).some(other => other.featureIndex !== edge.featureIndex
+            && perpendicularDistance(midpoint, other.from, other.to) <= BORDER_MATCH_DISTANCE);
+    };
+    const outer = unshared.filter(isOuterEdge);
+
+    // Join outer edges end to end, starting a new line wherever the chain ends or branches
+    const outgoing = new Map();
+    for (const edge of outer) {
+        for (const [start, end] of [[edge.from, edge.to], [edge.to, edge.from]]) {
+            const key = pointKey(start);
+            if (!outgoing.has(key)) outgoing.set(key, []);
+            outgoing.get(key).push({ edge, end });
+        }
+    }
+    const used = new Set();
+    const extend = (line) => {
+        let next;
+        while ((next = outgoing.get(pointKey(line[line.length - 1])).find(candidate => !used.has(candidate.edge)))) {
+            used.add(next.edge);
+            line.push(next.end);
+        }
+        return line;
+    };
+    const lines = [];
+    for (const edge of outer) {
+        if (used.has(edge)) continue;
+        used.add(edge);
+        // Walk forwards from the edge, then backwards from its start
+        const forwards = extend([edge.from, edge.to]);
+        const backwards = extend([edge.from]);
+        lines.push(douglasPeucker([...backwards.reverse(), ...forwards.slice(1)], OUTLINE_TOLERANCE));
+    }
+    const span = (line) => {
+        const xs = line.map(point => point[0]);
+        const ys = line.map(point => point[1]);
+        return Math.hypot(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+    };
+
+    return {
+        type: 'FeatureCollection',
+        features: [{ type: 'Feature', properties: { name: 'NSW outline' }, geometry: { type: 'MultiLineString', coordinates: lines.filter(line => span(line) >= MIN_OUTLINE_SPAN) } }]
+    };
+}
+
+function countPoints(geojson) {
+    let count = 0;
+    for (const feature of geojson.features) {
+        if (!feature.geometry) continue;
+        for (const [, , ring] of featureRings(feature.geometry)) count += ring.length;
+    }
+    return count;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log('Usage: node scripts/simplify_boundaries.mjs [--in file.geojson] [--out file.geojson] [--outline file.geojson] [--tolerance degrees]');
+        return;
+    }
+
+    const source = JSON.parse(readFileSync(options.in, 'utf8'));
+    const simplified = simplifyBoundaries(source, options.tolerance);
+    const output = JSON.stringify(simplified);
+    writeFileSync(options.out, output);
+    console.log(`Wrote ${simplified.features.length} postcodes with ${countPoints(simplified)} of ${countPoints(source)} points (${Math.round(output.length / 1024)} KB) to ${options.out}`);
+
+    const outline = buildOutline(simplified);
+    const outlineOutput = JSON.stringify(outline);
+    writeFileSync(options.outline, outlineOutput);
+    console.log(`Wrote the outline as ${outline.features[0].geometry.coordinates.length} lines (${Math.round(outlineOutput.length / 1024)} KB) to ${options.outline}`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,201 @@
+// Reads spreadsheet tables from .xlsx workbooks and .csv exports without any dependencies.
+// Every table is returned as an array of rows, each an array of cell values (string, number or null).
+
+import { inflateRawSync } from 'node:zlib';
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+
+// Returns a map of entry name -> Buffer for a zip archive held in memory
+function readZipEntries(buffer) {
+    // The end of central directory record sits in the last 22 bytes plus an optional comment of up to 64KB
+    let endOffset = -1;
+    for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xffff); offset--) {
+        if (buffer.readUInt32LE(offset) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+            endOffset = offset;
+            break;
+        }
+    }
+    if (endOffset === -1) throw new Error('Not a zip archive (no end of central directory record)');
+
+    const entryCount = buffer.readUInt16LE(endOffset + 10);
+    let offset = buffer.readUInt32LE(endOffset + 16);
+    if (offset === 0xffffffff) throw new Error('Zip64 archives are not supported');
+
+    const entries = new Map();
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_ENTRY) throw new Error('Corrupt zip central directory');
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        // Sizes in the local header can be zero when a data descriptor is used, so take them from the central directory
+        if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_FILE_HEADER) throw new Error(`Corrupt zip entry ${name}`);
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) {
+            entries.set(name, data);
+        } else if (method === 8) {
+            entries.set(name, inflateRawSync(data));
+        } else {
+            throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+        }
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (match, entity) => {
+        switch (entity.toLowerCase()) {
+            case 'lt': return '<';
+            case 'gt': return '>';
+            case 'amp': return '&';
+            case 'quot': return '"';
+            case 'apos': return '\'';
+            default:
+                return String.fromCodePoint(entity[1].toLowerCase() === 'x'
+                    ? parseInt(entity.slice(2), 16)
+                    : parseInt(entity.slice(1), 10));
+        }
+    });
+}
+
+function getAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+    return match ? decodeXml(match[1]) : null;
+}
+
+// Concatenates every <t> run, so rich text cells read as plain text
+function readTextRuns(xml) {
+    let text = '';
+    for (const match of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+        text += decodeXml(match[1]);
+    }
+    return text;
+}
+
+function columnIndex(cellReference) {
+    const letters = cellReference.match(/^[A-Z]+/)[0];
+    let index = 0;
+    for (const letter of letters) {
+        index = index * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+function readSheetRows(xml, sharedStrings) {
+    const rows = [];
+    for (const rowMatch of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const rowNumber = Number(getAttribute(rowMatch[1], 'r')) || rows.length + 1;
+        const row = [];
+        for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const attributes = cellMatch[1];
+            const body = cellMatch[2] || '';
+            const reference = getAttribute(attributes, 'r');
+            const type = getAttribute(attributes, 't');
+            const valueMatch = body.match(/<v>([\s\S]*?)<\/v>/);
+            const rawValue = valueMatch ? decodeXml(valueMatch[1]) : null;
+
+            let value;
+            if (type === 's') {
+                value = rawValue === null ? null : sharedStrings[Number(rawValue)];
+            } else if (type === 'inlineStr') {
+                value = readTextRuns(body);
+            } else if (type === 'str' || type === 'e') {
+                value = rawValue;
+            } else if (type === 'b') {
+                value = rawValue === '1';
+            } else {
+                value = rawValue === null ? null : Number(rawValue);
+            }
+
+            row[reference ? columnIndex(reference) : row.length] = value;
+        }
+        rows[rowNumber - 1] = Array.from(row, cell => cell === undefined ? null : cell);
+    }
+    return Array.from(rows, row => row || []);
+}
+
+/**
+ * Reads every worksheet in an .xlsx workbook.
+ * @param {Buffer} buffer - The workbook file contents
+ * @returns {{name: string, rows: Array<Array<string|number|boolean|null>>}[]} Sheets in workbook order
+ */
+export function readWorkbook(buffer) {
+    const entries = readZipEntries(buffer);
+    const readEntry = (name) => {
+        const entry = entries.get(name);
+        if (!entry) throw new Error(`Workbook is missing ${name}`);
+        return entry.toString('utf8');
+    };
+
+    const sharedStrings = entries.has('xl/sharedStrings.xml')
+        ? [...readEntry('xl/sharedStrings.xml').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => readTextRuns(match[1]))
+        : [];
+
+    const targets = {};
+    for (const match of readEntry('xl/_rels/workbook.xml.rels').matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+        targets[getAttribute(match[1], 'Id')] = getAttribute(match[1], 'Target');
+    }
+
+    return [...readEntry('xl/workbook.xml').matchAll(/<sheet\b([^>]*)\/?>/g)].map(match => {
+        const target = targets[getAttribute(match[1], 'r:id')];
+        // Targets are usually relative to xl/, but some writers store absolute paths
+        const path = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+        return { name: getAttribute(match[1], 'name'), rows: readSheetRows(readEntry(path), sharedStrings) };
+    });
+}
+
+/**
+ * Parses RFC 4180 CSV text, including quoted fields with commas, quotes and line breaks.
+ * Numeric-looking fields are left as strings; callers decide how to read them.
+ * @param {string} text - CSV file contents
+ * @returns {string[][]} Rows of fields
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
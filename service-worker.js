@@ -0,0 +1,153 @@
+// Service worker that keeps the map usable offline.
+//
+// - The app shell, vendored libraries and data files are cached on install.
+// - The page and data files come from the network first, so a refreshed dataset is picked up when
+//   online, falling back to the cache when the network fails or is too slow to answer.
+// - Other app files are served from the cache and refreshed in the background for the next visit.
+// - Basemap tiles and other cross-origin files (the Tailwind CDN) are cached as they are used.
+//
+// Bump CACHE_VERSION when files are added to or removed from the lists below.
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const DATA_CACHE = `data-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `runtime-${CACHE_VERSION}`;
+const TILE_CACHE = 'tiles';
+
+// Poor reception can leave a request hanging, so fall back to the cache after this long
+const NETWORK_TIMEOUT_MS = 4000;
+// Tiles viewed most recently are kept up to this many; older ones are dropped as new ones arrive
+const MAX_CACHED_TILES = 1500;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'map_app.js',
+    'affordability_engine.mjs',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'vendor/leaflet/leaflet.css',
+    'vendor/leaflet/leaflet.js',
+    'vendor/leaflet/images/layers.png',
+    'vendor/leaflet/images/layers-2x.png',
+    'vendor/leaflet/images/marker-icon.png',
+    'vendor/leaflet/images/marker-icon-2x.png',
+    'vendor/leaflet/images/marker-shadow.png',
+    'vendor/papaparse/papaparse.min.js',
+    'vendor/d3/d3.min.js'
+];
+
+const DATA_FILES = [
+    'data/aggregated_yearly_data.csv',
+    'data/postcode_to_suburbs.csv',
+    'data/POA_2021_NSW.simplified.geojson',
+    'data/nsw_outline.geojson',
+    'data/version.json'
+];
+
+// Data the app works without, such as the regions built by scripts/build_regions.mjs. Cached on install
+// when present; a missing file would otherwise fail the whole install.
+const OPTIONAL_DATA_FILES = ['data/postcode_to_regions.csv'];
+
+// Styling comes from the Tailwind CDN, which can't be vendored as a static file. It is cached
+// on install when reachable, and otherwise the first time the page loads it.
+const CDN_FILES = ['https://cdn.tailwindcss.com'];
+
+const TILE_HOST = /(^|\.)tile\.openstreetmap\.org$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(Promise.all([
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)),
+        caches.open(DATA_CACHE).then(cache => Promise.all([
+            cache.addAll(DATA_FILES),
+            ...OPTIONAL_DATA_FILES.map(url => cache.add(url).catch(() => {}))
+        ])),
+        caches.open(RUNTIME_CACHE).then(cache => Promise.all(CDN_FILES.map(url =>
+            // addAll rejects the opaque responses cross-origin scripts return, so store them one by one
+            fetch(new Request(url, { mode: 'no-cors' })).then(response => cache.put(url, response)).catch(() => {})
+        )))
+    ]).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, DATA_CACHE, RUNTIME_CACHE, TILE_CACHE];
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names.filter(name => !current.includes(name)).map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (request.mode === 'navigate') {
+            // Shared links carry the scenario in the query string, so any navigation gets the cached page
+            event.respondWith(networkFirst(request, SHELL_CACHE, { ignoreSearch: true }));
+        } else if (url.pathname.includes('/data/')) {
+            event.respondWith(networkFirst(request, DATA_CACHE));
+        } else {
+            event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+        }
+    } else if (TILE_HOST.test(url.hostname)) {
+        event.respondWith(cachedTile(request));
+    } else if (url.hostname !== 'cdn.counter.dev') {
+        event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE));
+    }
+});
+
+async function networkFirst(request, cacheName, matchOptions) {
+    const cache = await caches.open(cacheName);
+    const network = fetch(request).then(response => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    });
+    const timeout = new Promise((resolve, reject) => setTimeout(() => reject(new Error('Network timed out')), NETWORK_TIMEOUT_MS));
+
+    try {
+        return await Promise.race([network, timeout]);
+    } catch (error) {
+        const cached = await cache.match(request, matchOptions)
+            || (request.mode === 'navigate' ? await cache.match('index.html') : null);
+        if (cached) {
+            // The network may still fail after the cache has answered; nothing is waiting on it then
+            network.catch(() => {});
+            return cached;
+        }
+        // Without a cached copy, keep waiting on the network rather than failing
+        return network;
+    }
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const network = fetch(request).then(response => {
+        // Cross-origin scripts without CORS come back opaque (status 0) but are still usable from the cache
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+        return response;
+    });
+    if (cached) {
+        network.catch(() => {});
+        return cached;
+    }
+    return network;
+}
+
+async function cachedTile(request) {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    // Failures reach the map as tile errors, which switch it to the bundled NSW outline
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        const keys = await cache.keys();
+        await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_CACHED_TILES)).map(key => cache.delete(key)));
+    }
+    return response;
+}
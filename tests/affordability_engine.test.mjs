@@ -0,0 +1,585 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    BEDROOM_OPTIONS,
+    BEDROOM_OPTION_ORDER,
+    DEFAULT_VALUES,
+    MAX_STRESS_RATE,
+    MAX_YEARS_TO_SAVE,
+    ROAD_DISTANCE_FACTOR,
+    applyIncomeChange,
+    buildSettings,
+    calculateCentroid,
+    calculateAffordability,
+    calculateDataQuality,
+    calculateHouseholdGrossIncome,
+    calculateHouseholdNetIncome,
+    calculateIncomeRequired,
+    calculateMortgage,
+    calculateNetIncome,
+    calculatePostcodeAffordability,
+    calculateQuartilePayments,
+    calculateRentVsBuy,
+    calculateServiceability,
+    calculateTaxBreakdown,
+    calculateTransferDuty,
+    calculateUpfrontCosts,
+    calculateWeeklyMortgage,
+    calculateYearsToSave,
+    convertNetToGross,
+    findDataIssues,
+    findNearestPostcode,
+    findTippingRate,
+    getBreakdownRow,
+    getCommute,
+    getHemFloor,
+    getPricesForPoint,
+    projectSavings,
+    summariseRegions,
+    sweepInterestRates
+} from '../affordability_engine.mjs';
+
+// Settings as the map builds them from its inputs, with any raw input values overridden
+function settingsFor(overrides = {}) {
+    return buildSettings({
+        taxYear: '2024-25',
+        privateHealth: '1',
+        earners: 'gross:100000:0:year',
+        housingType: 'buy',
+        pricePoint: 'median',
+        mortgageType: 'PI',
+        depositType: 'percent',
+        interestRate: '6',
+        loanTerm: '30',
+        depositPercent: '20',
+        depositAmount: '0',
+        ...overrides
+    });
+}
+
+const approxEqual = (actual, expected, tolerance = 0.01) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+describe('tax', () => {
+    test('taxes a $100k salary at the 2024-25 rates', () => {
+        const breakdown = calculateTaxBreakdown(100_000, { taxYear: '2024-25', hasPrivateHealthCover: true });
+        assert.equal(breakdown.incomeTax, (45_000 - 18_200) * 0.16 + (100_000 - 45_000) * 0.30);
+        assert.equal(breakdown.lowIncomeTaxOffset, 0);
+        assert.equal(breakdown.medicareLevy, 2_000);
+        assert.equal(breakdown.medicareLevySurcharge, 0);
+        assert.equal(breakdown.netIncome, 100_000 - 20_788 - 2_000);
+    });
+
+    test('charges the Medicare levy surcharge on the whole income without private cover', () => {
+        const withCover = calculateNetIncome(100_000, { taxYear: '2024-25', hasPrivateHealthCover: true });
+        const withoutCover = calculateNetIncome(100_000, { taxYear: '2024-25', hasPrivateHealthCover: false });
+        assert.equal(withCover - withoutCover, 1_000);
+    });
+
+    test('inverts net income back to the gross income that produces it', () => {
+        const optionSets = [
+            { taxYear: '2024-25', hasPrivateHealthCover: true },
+            { taxYear: '2024-25', hasPrivateHealthCover: false, hasHelpDebt: true },
+            { taxYear: '2023-24', hasPrivateHealthCover: false }
+        ];
+        for (const taxOptions of optionSets) {
+            for (const gross of [10_000, 30_000, 52_000, 95_000, 140_000, 250_000]) {
+                const net = calculateNetIncome(gross, taxOptions);
+                const recovered = convertNetToGross(net, taxOptions);
+                approxEqual(calculateNetIncome(recovered, taxOptions), net);
+                assert.ok(recovered <= gross + 0.01, `${recovered} should not exceed ${gross}`);
+            }
+        }
+    });
+
+    test('picks the lowest gross income when the surcharge makes net income drop', () => {
+        const taxOptions = { taxYear: '2024-25', hasPrivateHealthCover: false };
+        // Just above the surcharge threshold, net income is lower than at the threshold itself
+        const netAtThreshold = calculateNetIncome(97_000, taxOptions);
+        assert.ok(calculateNetIncome(97_000.01, taxOptions) < netAtThreshold);
+
+        const gross = convertNetToGross(netAtThreshold, taxOptions);
+        assert.ok(gross <= 97_000, `${gross} should be at or below the surcharge threshold`);
+        assert.ok(calculateNetIncome(gross, taxOptions) >= netAtThreshold);
+    });
+
+    test('treats non-positive net income as no gross income', () => {
+        assert.equal(convertNetToGross(0), 0);
+        assert.equal(convertNetToGross(-500), 0);
+        assert.throws(() => convertNetToGross(NaN), TypeError);
+    });
+});
+
+describe('mortgages', () => {
+    test('calculates principal and interest repayments', () => {
+        const { payment, interest } = calculateMortgage(500_000, 6, 30, 'PI');
+        approxEqual(payment, 2997.75);
+        approxEqual(interest, 2500);
+    });
+
+    test('charges only interest on interest-only loans', () => {
+        const { payment, interest } = calculateMortgage(500_000, 6, 30, 'IO');
+        approxEqual(payment, 2500);
+        assert.equal(payment, interest);
+    });
+
+    test('spreads the loan evenly at a zero interest rate', () => {
+        assert.deepEqual(calculateMortgage(360_000, 0, 30, 'PI'), { payment: 1000, interest: 0 });
+    });
+
+    test('charges nothing without a loan', () => {
+        assert.deepEqual(calculateMortgage(0, 6, 30, 'PI'), { payment: 0, interest: 0 });
+    });
+
+    test('converts monthly repayments to weekly', () => {
+        const settings = settingsFor();
+        const weekly = calculateWeeklyMortgage(625_000, settings);
+        approxEqual(weekly.payment, calculateMortgage(500_000, 6, 30, 'PI').payment * 12 / 52);
+    });
+});
+
+describe('settings', () => {
+    test('keeps a 0% deposit and a 0% interest rate', () => {
+        const settings = settingsFor({ depositPercent: '0', interestRate: '0' });
+        assert.equal(settings.depositPercent, 0);
+        assert.equal(settings.interestRate, 0);
+        // Without a deposit the whole price is borrowed, interest free
+        approxEqual(calculateWeeklyMortgage(520_000, settings).payment, 520_000 / 360 * 12 / 52);
+    });
+
+    test('falls back to the defaults for blank inputs', () => {
+        const settings = settingsFor({ depositPercent: '', interestRate: '', loanTerm: '' });
+        assert.equal(settings.depositPercent, DEFAULT_VALUES.mortgage.depositPercent);
+        assert.equal(settings.interestRate, DEFAULT_VALUES.mortgage.interestRate);
+        assert.equal(settings.loanTermYears, DEFAULT_VALUES.mortgage.loanTerm);
+    });
+
+    test('keeps deposits and loan terms within range', () => {
+        const settings = settingsFor({ depositPercent: '150', loanTerm: '0' });
+        assert.equal(settings.depositPercent, 100);
+        assert.equal(settings.loanTermYears, 1);
+    });
+
+    test('adds up earners entered in different periods', () => {
+        const settings = settingsFor({ earners: 'net:1000:0:week,net:26000:0:year' });
+        assert.equal(settings.netIncome, 52_000 + 26_000);
+        assert.equal(settings.earners.length, 2);
+    });
+});
+
+describe('price points and quartiles', () => {
+    const row = {
+        yearly_median_weekly_rent: 600,
+        yearly_first_quartile_weekly_rent: 500,
+        yearly_third_quartile_weekly_rent: null,
+        yearly_median_sales_price_000s: 800,
+        yearly_first_quartile_sales_000s: 650,
+        yearly_third_quartile_sales_000s: null
+    };
+
+    test('reads the prices for each price point', () => {
+        assert.deepEqual(getPricesForPoint(row, 'median'), { salesPrice: 800_000, rent: 600 });
+        assert.deepEqual(getPricesForPoint(row, 'q1'), { salesPrice: 650_000, rent: 500 });
+        assert.deepEqual(getPricesForPoint(row, 'q3'), { salesPrice: 0, rent: null });
+    });
+
+    test('costs each quartile and leaves missing quartiles empty', () => {
+        const settings = settingsFor({ strata: '0', council: '20', water: '10', maintenance: '0' });
+        const payments = calculateQuartilePayments(row, settings);
+        assert.equal(payments.yearly_first_quartile_weekly_rent_payment, 500);
+        assert.equal(payments.yearly_third_quartile_weekly_rent_payment, null);
+        approxEqual(payments.yearly_first_quartile_weekly_payment, calculateWeeklyMortgage(650_000, settings).payment + 30);
+        assert.equal(payments.yearly_third_quartile_weekly_payment, null);
+    });
+
+    test('does not change the row it is given', () => {
+        const copy = { ...row };
+        calculateQuartilePayments(row, settingsFor());
+        assert.deepEqual(row, copy);
+    });
+});
+
+describe('purchase costs', () => {
+    test('exempts first home buyers from duty up to the threshold', () => {
+        assert.equal(calculateTransferDuty(750_000, true), 0);
+        assert.ok(calculateTransferDuty(750_000, false) > 0);
+        assert.equal(calculateTransferDuty(1_200_000, true), calculateTransferDuty(1_200_000, false));
+    });
+
+    test('phases the first home buyer concession in between the thresholds', () => {
+        const duty = calculateTransferDuty(900_000, true);
+        assert.ok(duty > 0 && duty < calculateTransferDuty(900_000, false));
+    });
+
+    test('adds lenders mortgage insurance to the cash needed for small deposits', () => {
+        const settings = settingsFor({ depositPercent: '10', conveyancingCosts: '2000', savings: '0' });
+        const upfront = calculateUpfrontCosts(600_000, settings);
+        assert.equal(upfront.deposit, 60_000);
+        assert.ok(upfront.lmi > 0);
+        assert.equal(upfront.totalCash, 60_000 + upfront.transferDuty + 2_000 + upfront.lmi);
+    });
+});
+
+describe('lender serviceability', () => {
+    test('services the net surplus at the buffered rate over the loan term', () => {
+        const settings = settingsFor({ food: '1000', interestRate: '6', assessmentBuffer: '3', dtiCap: '6' });
+        const result = calculateServiceability(settings);
+        const monthlySurplus = (settings.weeklyNetIncome - 1_000) * 52 / 12;
+        const monthlyRate = 0.09 / 12;
+        assert.equal(result.assessmentRate, 9);
+        assert.equal(result.assessedLivingCosts, 1_000);
+        approxEqual(result.servicingLimit, monthlySurplus * (1 - (1 + monthlyRate) ** -360) / monthlyRate);
+        assert.equal(result.maxLoan, result.servicingLimit);
+        assert.equal(result.limitedBy, 'servicing');
+    });
+
+    test('assesses living costs at no less than the HEM floor', () => {
+        const single = settingsFor({ food: '100' });
+        assert.equal(calculateServiceability(single).assessedLivingCosts, getHemFloor(single));
+        approxEqual(getHemFloor(single), 420 * 1.15);
+
+        const couple = settingsFor({ earners: 'gross:50000:0:year,gross:50000:0:year', dependants: '2' });
+        approxEqual(getHemFloor(couple), (610 + 2 * 135) * 1.15);
+    });
+
+    test('caps borrowing at the debt-to-income multiple on a high income', () => {
+        const result = calculateServiceability(settingsFor({ earners: 'gross:1000000:0:year', dtiCap: '4' }));
+        assert.ok(result.servicingLimit > 4_000_000);
+        assert.equal(result.dtiLimit, 4_000_000);
+        assert.equal(result.maxLoan, 4_000_000);
+        assert.equal(result.limitedBy, 'debt-to-income cap');
+    });
+
+    test('lends nothing when living costs use up the income', () => {
+        const result = calculateServiceability(settingsFor({ earners: 'gross:30000:0:year', food: '2000' }));
+        assert.equal(result.maxLoan, 0);
+    });
+});
+
+describe('years to save', () => {
+    test('adds savings in a straight line without a return', () => {
+        assert.equal(projectSavings(10_000, 1_000, 0, 24), 34_000);
+        assert.equal(calculateYearsToSave(10_000, 70_000, 1_000, 0), 5);
+    });
+
+    test('reaches the target balance with interest compounding monthly', () => {
+        const monthlyReturn = 0.045 / 12;
+        const years = calculateYearsToSave(20_000, 150_000, 1_500, monthlyReturn);
+        assert.ok(years > 0 && years < (150_000 - 20_000) / 1_500 / 12);
+        approxEqual(projectSavings(20_000, 1_500, monthlyReturn, years * 12), 150_000, 0.5);
+    });
+
+    test('needs no time when savings already cover the target', () => {
+        assert.equal(calculateYearsToSave(100_000, 80_000, -500, 0.004), 0);
+    });
+
+    test('never reaches the target when nothing is saved each month', () => {
+        assert.equal(calculateYearsToSave(10_000, 70_000, 0, 0), null);
+        assert.equal(calculateYearsToSave(10_000, 70_000, -200, 0), null);
+        // A shortfall each month outweighs the interest earned on the balance
+        assert.equal(calculateYearsToSave(10_000, 70_000, -100, 0.004), null);
+    });
+
+    test(`gives up beyond ${MAX_YEARS_TO_SAVE} years`, () => {
+        assert.equal(calculateYearsToSave(0, 1_000_000, 100, 0), null);
+    });
+});
+
+describe('renting versus buying', () => {
+    const row = { Postcode: 2000, yearly_median_weekly_rent: 600, yearly_median_sales_price_000s: 800 };
+
+    test('compares weekly repayments and owner costs with rent', () => {
+        const settings = settingsFor({ strata: '50', council: '30' });
+        const result = calculateRentVsBuy(row, settings);
+        approxEqual(result.weeklyBuyingCost, calculateWeeklyMortgage(800_000, settings).payment + 80);
+        approxEqual(result.weeklyGap, result.weeklyBuyingCost - 600);
+        assert.equal(result.years.length, 30);
+    });
+
+    test('breaks even once rent paid passes the unrecoverable costs of buying', () => {
+        // Without interest, growth or returns, buying only costs duty and fees, so renting catches up year by year
+        const settings = settingsFor({ interestRate: '0', capitalGrowth: '0', rentGrowth: '0', depositReturn: '0', conveyancingCosts: '3000' });
+        const result = calculateRentVsBuy(row, settings);
+        const purchaseCosts = calculateTransferDuty(800_000, false) + 3_000;
+
+        approxEqual(result.years[0].buying, purchaseCosts);
+        approxEqual(result.years[0].renting, 600 * 52);
+        assert.equal(result.breakEvenYear, Math.ceil(purchaseCosts / (600 * 52)));
+    });
+
+    test('counts only interest on an interest-only loan and credits capital growth', () => {
+        const settings = settingsFor({ mortgageType: 'IO', capitalGrowth: '5', depositReturn: '0', conveyancingCosts: '0' });
+        const result = calculateRentVsBuy(row, settings);
+        const duty = calculateTransferDuty(800_000, false);
+        const expected = duty + 640_000 * 0.06 * 2 - 800_000 * (1.05 ** 2 - 1);
+        approxEqual(result.years[1].buying, expected, 1);
+    });
+
+    test('needs both a rent and a sale price', () => {
+        assert.equal(calculateRentVsBuy({ Postcode: 2000, yearly_median_weekly_rent: 600 }, settingsFor()), null);
+    });
+});
+
+describe('commute', () => {
+    const square = (x, y, size) => [[[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]]];
+
+    test('finds the centre of a polygon as [lat, lng]', () => {
+        assert.deepEqual(calculateCentroid({ type: 'Polygon', coordinates: square(150, -34, 2) }), [-33, 151]);
+    });
+
+    test('weights the parts of a multipolygon by area', () => {
+        const centroid = calculateCentroid({ type: 'MultiPolygon', coordinates: [square(150, -34, 2), square(160, -34, 2)] });
+        approxEqual(centroid[0], -33, 1e-9);
+        approxEqual(centroid[1], 156, 1e-9);
+        assert.equal(calculateCentroid(null), null);
+        assert.equal(calculateCentroid({ type: 'Point', coordinates: [151, -33] }), null);
+    });
+
+    // One degree of latitude on a 6,371 km sphere
+    const oneDegreeKm = 6_371 * Math.PI / 180;
+
+    test('measures the distance from the workplace and the weekly cost of driving it', () => {
+        const settings = settingsFor({
+            workplace: '-33.8,151.2', maxCommuteDistance: '150', includeCommuteCost: '1', commuteDays: '5', commuteCostPerKm: '0.2'
+        });
+        const commute = getCommute([-34.8, 151.2], settings);
+        approxEqual(commute.distance, oneDegreeKm);
+        approxEqual(commute.weeklyCost, oneDegreeKm * ROAD_DISTANCE_FACTOR * 2 * 5 * 0.2);
+        assert.equal(commute.isOutside, false);
+    });
+
+    test('marks postcodes beyond the limit and leaves out driving costs unless asked', () => {
+        const commute = getCommute([-34.8, 151.2], settingsFor({ workplace: '-33.8,151.2', maxCommuteDistance: '100' }));
+        assert.equal(commute.isOutside, true);
+        assert.equal(commute.weeklyCost, 0);
+        assert.equal(getCommute([-34.8, 151.2], settingsFor()), null);
+    });
+
+    test('finds the postcode whose centre is nearest a point', () => {
+        const centroids = { 2000: [-33.87, 151.21], 2150: [-33.81, 151.0], 2500: [-34.42, 150.89] };
+        assert.equal(findNearestPostcode(centroids, -33.82, 151.02), '2150');
+        assert.equal(findNearestPostcode(centroids, -34.3, 150.9), '2500');
+        assert.equal(findNearestPostcode({}, -33.8, 151.2), null);
+    });
+});
+
+describe('housing rows', () => {
+    test('lists any number of bedrooms first, then every bedroom option once', () => {
+        assert.equal(BEDROOM_OPTION_ORDER[0], 'any');
+        assert.deepEqual([...BEDROOM_OPTION_ORDER].sort(), Object.keys(BEDROOM_OPTIONS).sort());
+    });
+
+    const rows = {
+        'all|any': { Postcode: 2000, yearly_median_weekly_rent: 700, yearly_median_sales_price_000s: 1_100 },
+        'unit|2': { Postcode: 2000, yearly_median_weekly_rent: 750, yearly_median_sales_price_000s: null }
+    };
+
+    test('falls back to broader figures separately for rent and sales', () => {
+        const row = getBreakdownRow(rows, 'unit', '2');
+        assert.equal(row.yearly_median_weekly_rent, 750);
+        assert.equal(row.yearly_median_sales_price_000s, 1_100);
+        assert.equal(row.rent_breakdown.isFallback, false);
+        assert.deepEqual(row.sales_breakdown, { dwellingType: 'all', bedrooms: 'any', isFallback: true });
+    });
+
+    test('computes results for every postcode without changing the rows', () => {
+        const housing = {
+            2000: { ...rows['all|any'] },
+            2880: { Postcode: 2880, yearly_median_weekly_rent: 350, yearly_median_sales_price_000s: null }
+        };
+        const { serviceability, results } = calculateAffordability(housing, settingsFor({ housingType: 'rent' }));
+
+        assert.ok(serviceability.maxLoan > 0);
+        assert.equal(results[2000].weekly_housing_cost, 700);
+        approxEqual(results[2880].affordability_percentage, 350 / (100_000 / 52) * 100);
+        assert.equal(results[2880].selected_sale_price, null);
+        assert.equal(results[2880].outside_commute, false);
+        assert.equal(housing[2000].weekly_housing_cost, undefined);
+    });
+
+    test('adds the alternative map measures', () => {
+        const settings = settingsFor({ housingType: 'rent' });
+        const result = calculatePostcodeAffordability(rows['all|any'], settings);
+
+        approxEqual(result.net_income_percentage, 700 / settings.weeklyNetIncome * 100);
+        approxEqual(result.price_to_income, 11);
+        approxEqual(result.rent_yield, 700 * 52 / 1_100_000 * 100);
+        // Gross income at which rent of $700 a week is exactly 30%
+        approxEqual(result.income_required, 700 * 52 / 0.3);
+        approxEqual(700 / (result.income_required / 52) * 100, 30);
+    });
+
+    test('leaves the alternative measures empty without prices', () => {
+        const result = calculatePostcodeAffordability({ Postcode: 2880 }, settingsFor());
+        assert.equal(result.net_income_percentage, null);
+        assert.equal(result.price_to_income, null);
+        assert.equal(result.rent_yield, null);
+        assert.equal(result.income_required, null);
+    });
+});
+
+describe('interest rate stress test', () => {
+    const weeklyCostAt = (price, settings, rate) =>
+        calculateWeeklyMortgage(price, { ...settings, interestRate: rate }).payment + settings.weeklyOwnerCosts;
+
+    test('keeps the rate range and income change through a shared link', () => {
+        const state = { earners: 'gross:100000:0:year', stressMinRate: '5.5', stressMaxRate: '12', stressIncomeChange: '-10' };
+        const shared = Object.fromEntries(new URLSearchParams(new URLSearchParams(state).toString()));
+        const settings = buildSettings(shared);
+        assert.equal(settings.stressMinRate, 5.5);
+        assert.equal(settings.stressMaxRate, 12);
+        assert.equal(settings.stressIncomeChange, -10);
+    });
+
+    test('defaults the range and keeps it within 0% and the highest rate charted', () => {
+        const defaults = buildSettings({ earners: 'gross:100000:0:year' });
+        assert.equal(defaults.stressMinRate, DEFAULT_VALUES.stressTest.minRate);
+        assert.equal(defaults.stressMaxRate, DEFAULT_VALUES.stressTest.maxRate);
+        assert.equal(defaults.stressIncomeChange, 0);
+
+        const clamped = buildSettings({ earners: 'gross:100000:0:year', stressMinRate: '-2', stressMaxRate: '35' });
+        assert.equal(clamped.stressMinRate, 0);
+        assert.equal(clamped.stressMaxRate, MAX_STRESS_RATE);
+    });
+
+    test('finds the rate at which repayments pass the weekly limit', () => {
+        const settings = settingsFor();
+        const rate = findTippingRate(800_000, settings, 1_000);
+        assert.ok(rate > 0 && rate < MAX_STRESS_RATE);
+        assert.ok(weeklyCostAt(800_000, settings, rate) > 1_000);
+        assert.ok(weeklyCostAt(800_000, settings, rate - 0.001) <= 1_000);
+    });
+
+    test('reports a zero rate when over the limit regardless, and null when never over it', () => {
+        const settings = settingsFor();
+        assert.equal(findTippingRate(800_000, settings, 100), 0);
+        assert.equal(findTippingRate(100_000, settings, 10_000), null);
+    });
+
+    test('changes every earner\'s income by a percentage', () => {
+        const state = applyIncomeChange({ earners: 'gross:100000:0:year,net:1000:1:week' }, -10);
+        assert.equal(state.earners, 'gross:90000:0:year,net:900:1:week');
+    });
+
+    test('sweeps buying costs across rates, even when renting', () => {
+        const rows = { 2000: { Postcode: 2000, yearly_median_weekly_rent: 600, yearly_median_sales_price_000s: 800 } };
+        const sweep = sweepInterestRates(rows, settingsFor({ housingType: 'rent' }), [4, 6, 8]);
+        assert.deepEqual(sweep.map(step => step.rate), [4, 6, 8]);
+        const percentages = sweep.map(step => step.results[2000].affordability_percentage);
+        assert.ok(percentages[0] < percentages[1] && percentages[1] < percentages[2]);
+    });
+});
+
+describe('income required', () => {
+    const row = { Postcode: 2041, yearly_median_weekly_rent: 700, yearly_median_sales_price_000s: 1_100 };
+
+    test('works back to the gross and net income that meet the 30% rule', () => {
+        const settings = settingsFor({ housingType: 'rent' });
+        const result = calculateIncomeRequired(row, settings);
+        approxEqual(result.income_required_net, calculateNetIncome(700 * 52 / 0.3, settings.taxOptions));
+        approxEqual(result.income_required_gap, 700 * 52 / 0.3 - 100_000);
+    });
+
+    test('finds the income that leaves nothing over after housing and living costs', () => {
+        const settings = settingsFor({ housingType: 'rent', utilities: '50', food: '200', transport: '80', other: '120' });
+        const result = calculateIncomeRequired(row, settings);
+        approxEqual(result.break_even_net_income, (700 + 450) * 52);
+        approxEqual(calculateNetIncome(result.break_even_gross_income, settings.taxOptions), result.break_even_net_income);
+        approxEqual(result.break_even_income_gap, result.break_even_gross_income - 100_000);
+    });
+
+    test('uses the buying cost when buying', () => {
+        const settings = settingsFor();
+        const weeklyCost = calculateWeeklyMortgage(1_100_000, settings).payment + settings.weeklyOwnerCosts;
+        approxEqual(calculateIncomeRequired(row, settings).break_even_net_income, weeklyCost * 52);
+    });
+
+    test('splits the income between earners in proportion to their incomes, each taxed separately', () => {
+        const settings = settingsFor({ earners: 'gross:150000:1:year,gross:50000:0:year' });
+        const net = calculateHouseholdNetIncome(100_000, settings);
+        approxEqual(net,
+            calculateNetIncome(75_000, { ...settings.taxOptions, hasHelpDebt: true }) + calculateNetIncome(25_000, settings.taxOptions));
+        approxEqual(calculateHouseholdNetIncome(calculateHouseholdGrossIncome(net, settings), settings), net, 1);
+    });
+
+    test('returns nulls without a price for the housing type', () => {
+        const result = calculateIncomeRequired({ Postcode: 2880, yearly_median_weekly_rent: 400 }, settingsFor());
+        assert.equal(result.break_even_gross_income, null);
+        assert.equal(result.income_required_gap, null);
+    });
+});
+
+describe('data quality', () => {
+    const row = {
+        Postcode: 2000,
+        yearly_median_weekly_rent: 900, yearly_first_quartile_weekly_rent: 93, yearly_third_quartile_weekly_rent: 3_812,
+        yearly_median_sales_price_000s: 1_300, yearly_first_quartile_sales_000s: 870, yearly_third_quartile_sales_000s: 2_544,
+        yearly_new_bonds: 12, yearly_sales_count: 400
+    };
+
+    test('flags quartiles far from the median and small samples', () => {
+        assert.deepEqual(findDataIssues(row), [
+            { figure: 'rent', kind: 'outlier' },
+            { figure: 'rent', kind: 'low-sample' }
+        ]);
+    });
+
+    test('flags quartiles out of order and missing medians', () => {
+        const issues = findDataIssues({ ...row, yearly_first_quartile_weekly_rent: 950, yearly_new_bonds: null, yearly_median_sales_price_000s: null });
+        assert.deepEqual(issues, [{ figure: 'rent', kind: 'inverted' }, { figure: 'sales', kind: 'missing' }]);
+    });
+
+    test('marks low confidence from the figures the housing type relies on', () => {
+        assert.equal(calculateDataQuality(row, settingsFor({ housingType: 'rent' })).low_confidence, true);
+        assert.equal(calculateDataQuality(row, settingsFor({ housingType: 'buy' })).low_confidence, false);
+    });
+
+    test('hides postcodes below the minimum sample size only when counts are known', () => {
+        const settings = settingsFor({ housingType: 'rent', minSampleSize: '20' });
+        assert.equal(calculateDataQuality(row, settings).below_min_sample, true);
+        assert.equal(calculateDataQuality({ ...row, yearly_new_bonds: null }, settings).below_min_sample, false);
+        assert.equal(calculateDataQuality(row, settingsFor({ housingType: 'rent' })).below_min_sample, false);
+    });
+
+    test('keeps counts with the figures they came from', () => {
+        const breakdown = getBreakdownRow({
+            'all|any': { ...row },
+            'unit|2': { Postcode: 2000, yearly_median_weekly_rent: 750, yearly_new_bonds: 40, yearly_sales_count: 0 }
+        }, 'unit', '2');
+        assert.equal(breakdown.yearly_new_bonds, 40);
+        assert.equal(breakdown.yearly_sales_count, 400);
+    });
+});
+
+describe('regional summaries', () => {
+    const results = {
+        2000: { affordability_percentage: 50, weekly_money_leftover: 100 },
+        2007: { affordability_percentage: 25, weekly_money_leftover: 400 },
+        2010: { affordability_percentage: 35, weekly_money_leftover: 300 },
+        2750: { affordability_percentage: 0, weekly_money_leftover: null },
+        2770: { affordability_percentage: 20, weekly_money_leftover: 500, outside_commute: true },
+        2880: { affordability_percentage: 15, weekly_money_leftover: 600 },
+        2999: { affordability_percentage: 15, weekly_money_leftover: 600 }
+    };
+    const regions = { 2000: 'Greater Sydney', 2007: 'Greater Sydney', 2010: 'Greater Sydney', 2750: 'Greater Sydney', 2770: 'Greater Sydney', 2880: 'Rest of NSW' };
+    const bandOf = result => result.affordability_percentage > 0 ? (result.affordability_percentage <= 30 ? 'within' : 'over') : null;
+
+    test('counts postcodes in each band and takes medians over those with data', () => {
+        const [sydney, rest] = summariseRegions(results, postcode => regions[postcode], bandOf);
+        assert.deepEqual(sydney, {
+            region: 'Greater Sydney', postcodes: 4, withData: 3, counts: { over: 2, within: 1 },
+            medianPercentage: 35, medianLeftover: 300
+        });
+        assert.equal(rest.region, 'Rest of NSW');
+        assert.equal(rest.medianPercentage, 15);
+    });
+
+    test('leaves out postcodes without a region or outside the commute limit', () => {
+        const summaries = summariseRegions(results, postcode => regions[postcode], bandOf);
+        assert.equal(summaries.reduce((sum, summary) => sum + summary.postcodes, 0), 5);
+        const [all] = summariseRegions(results, () => 'NSW', bandOf);
+        assert.equal(all.postcodes, 6);
+        assert.equal(all.medianPercentage, 25);
+    });
+});
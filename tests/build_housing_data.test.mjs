@@ -0,0 +1,134 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+
+import { aggregateQuarters, aggregateYearly, isNswPostcode, parseQuarter, readTables } from '../scripts/build_housing_data.mjs';
+import { parseCsv, readWorkbook } from '../scripts/table_reader.mjs';
+
+const FIXTURE_PATH = new URL('./fixtures/rent_quarters.csv', import.meta.url).pathname;
+
+// A zip archive holding the given files, the first stored and the rest deflated
+function zip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    Object.entries(files).forEach(([name, text], index) => {
+        const nameBuffer = Buffer.from(name);
+        const data = index === 0 ? Buffer.from(text) : deflateRawSync(Buffer.from(text));
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(index === 0 ? 0 : 8, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(index === 0 ? 0 : 8, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+        locals.push(local, nameBuffer, data);
+        centrals.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + data.length;
+    });
+    const centralDirectory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(centrals.length / 2, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+describe('table reader', () => {
+    test('parses quoted CSV fields with commas, quotes and line breaks', () => {
+        assert.deepEqual(parseCsv('﻿a,"b, c","say ""hi""\nthere"\r\n1,,3'), [
+            ['a', 'b, c', 'say "hi"\nthere'],
+            ['1', '', '3']
+        ]);
+    });
+
+    test('reads shared strings, inline strings and numbers from an xlsx workbook', () => {
+        const workbook = zip({
+            'xl/workbook.xml': '<workbook><sheets><sheet name="Postcode" sheetId="1" r:id="rId1"/></sheets></workbook>',
+            'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>',
+            'xl/sharedStrings.xml': '<sst><si><t>Postcode</t></si><si><r><t>Median </t></r><r><t>Rent</t></r></si></sst>',
+            'xl/worksheets/sheet1.xml': '<worksheet><sheetData>'
+                + '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>'
+                + '<row r="3"><c r="A3"><v>2000</v></c><c r="B3" t="inlineStr"><is><t>Sydney &amp; CBD</t></is></c><c r="C3"><v>700.5</v></c></row>'
+                + '</sheetData></worksheet>'
+        });
+        assert.deepEqual(readWorkbook(workbook), [{
+            name: 'Postcode',
+            rows: [['Postcode', null, 'Median Rent'], [], [2000, 'Sydney & CBD', 700.5]]
+        }]);
+    });
+
+    test('rejects files that are not zip archives', () => {
+        assert.throws(() => readWorkbook(Buffer.alloc(100)), /Not a zip archive/);
+    });
+});
+
+describe('quarters and postcodes', () => {
+    test('reads quarters written in each of the report styles', () => {
+        const q3 = { year: 2024, quarter: 3 };
+        ['2024-Q3', 'Q3 2024', 'September Quarter 2024', 'Sep-24', 'rent sept_2024.xlsx'].forEach(text => {
+            assert.deepEqual(parseQuarter(text), q3, text);
+        });
+        // 1 August 2024 as an Excel date serial
+        assert.deepEqual(parseQuarter(45505), q3);
+        assert.equal(parseQuarter('Rent Tables'), null);
+    });
+
+    test('keeps NSW postcodes and drops the ACT and non-postcode rows', () => {
+        assert.equal(isNswPostcode('2000'), true);
+        assert.equal(isNswPostcode('2620'), true);
+        assert.equal(isNswPostcode('2600'), false);
+        assert.equal(isNswPostcode('2913'), false);
+        assert.equal(isNswPostcode('Greater Sydney'), false);
+        assert.equal(isNswPostcode('200'), false);
+    });
+});
+
+describe('yearly aggregation', () => {
+    const [table] = readTables(FIXTURE_PATH);
+    const yearly = aggregateYearly(table.records);
+
+    test('reads NSW rows only and counts suppressed cells', () => {
+        assert.equal(table.kind, 'rent');
+        assert.deepEqual([...new Set(table.records.map(record => record.postcode))], ['2000', '2620']);
+        assert.equal(table.suppressed, 2);
+    });
+
+    test('weights quarters by new bonds and skips suppressed values and the missing quarter', () => {
+        const total = yearly.get('2000|2024|Total|Total');
+        assert.deepEqual(total.quarters, [1, 2, 4]);
+        assert.equal(total.median, (700 * 100 + 720 * 300 + 760 * 100) / 500);
+        assert.equal(total.firstQuartile, (600 * 100 + 620 * 300) / 400);
+        assert.equal(total.thirdQuartile, (800 * 100 + 820 * 300) / 400);
+        assert.equal(total.count, 500);
+    });
+
+    test('takes a plain mean when a quarter has no count', () => {
+        assert.equal(aggregateQuarters([{ median: 700, count: 100 }, { median: 760, count: null }], 'median'), 730);
+        assert.equal(aggregateQuarters([{ median: null, count: 100 }], 'median'), null);
+    });
+
+    test('combines source categories that fall in the same group and reports them', () => {
+        const merged = [];
+        const fourPlus = aggregateYearly(table.records, merged).get('2000|2024|House|4');
+        assert.equal(fourPlus.median, (1_000 * 30 + 1_300 * 10) / 40);
+        assert.equal(fourPlus.count, 40);
+        assert.deepEqual(merged, [{ key: '2000|2024|House|4', quarter: 1, categories: ['House, 4 bedrooms', 'House, 5+ bedrooms'] }]);
+        // Dwelling types outside the groups are dropped rather than merged into the total
+        assert.equal(yearly.get('2000|2024|Total|Total').median, 724);
+    });
+
+    test('lets a later file for the same quarter replace an earlier one', () => {
+        const record = { postcode: '2000', year: 2024, dwellingType: 'Total', bedrooms: 'Total', quarter: 1, category: 'Total, Total', firstQuartile: null, thirdQuartile: null, count: 10 };
+        const revised = aggregateYearly([
+            { ...record, fileName: 'rent-2024-Q1.csv', median: 700 },
+            { ...record, fileName: 'rent-2024-Q1-revised.csv', median: 710 }
+        ]);
+        assert.equal(revised.get('2000|2024|Total|Total').median, 710);
+    });
+});